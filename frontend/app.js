@@ -1,113 +1,252 @@
-import { engine, getItemWeight, getMaxStack, getStructureSize, canPlaceAt, getNextExpansionChunk } from '../src/engine.js';
+import { engine, getItemWeight, getMaxStack, getMachineEnergy, getMachineType, getMachineSpeed, getMachineUpgradeCost, getUnlockStatus, getResearchPointCost, getNextResearchCandidate, previewSale, previewPurchase, canBuyItem, getContractPayout, getNodeCost, getNodeUpgradeCost, getNodeEnergy, DIRECTIONS, getPlacementAt, getStructureType, getStructureBehavior, getStructureSize, canPlaceAt, getNextExpansionChunk } from '../src/engine.js';
 import { defaultRules } from '../src/defaultRules.js';
 import { createInitialState } from '../src/initialState.js';
+import { serializeState, deserializeState } from '../src/serialization.js';
+import { createRecorder, replay } from '../src/replay.js';
+import { validateRules } from '../src/validation.js';
+import { planProduction } from '../src/planner.js';
+import { createMetrics } from '../src/metrics.js';
 
 // ============================================================================
 // Placement Mode State
 // ============================================================================
 
-let placementMode = null; // null or { type: 'machine' } or { type: 'generator', generatorType: 'manual_crank' }
+let placementMode = null; // null or { type: 'machine', machineType: 'workshop' }, { type: 'generator', generatorType: 'manual_crank' },
+                          // { type: 'node', resourceType: 'wood' } or { type: 'structure', structureType: 'conveyor' }
 
 // ============================================================================
 // Game State
 // ============================================================================
 
 let gameState = createInitialState();
-const rules = defaultRules;
+let rules = defaultRules; // Rebuilt when the logistics mode is toggled
 let autoSimulateInterval = null;
 let tickLog = []; // Store log entries for each tick
+// The event log keeps the newest entries only; older tick reports roll off
+// (metrics keep their own window, METRICS_WINDOW)
 const MAX_LOG_ENTRIES = 100;
+const SAVE_STORAGE_KEY = 'replaceableParts.save';
+
+// Rolling windows over tick reports for the metrics charts
+const METRICS_WINDOW = 50;
+const metrics = createMetrics({ windowSize: METRICS_WINDOW });
+
+// Open the page with ?debug to check state invariants after every action
+const debugMode = new URLSearchParams(window.location.search).has('debug');
+
+// Action history (every dispatched action, for replay and the history scrubber)
+let recorder = null;
+let historyStartTick = 0;
+let historyTick = null; // null = live, otherwise the tick currently being viewed
+let liveTick = 0;
+
+// Undo / redo of player actions
+const MAX_UNDO_STEPS = 50;
+let undoStack = []; // { state, entryCount, action } - state before the action
+let redoStack = []; // { state, action } - state after the action
+let tickUndoPolicy = 'checkpoint'; // 'checkpoint' = ticks commit history, 'undoable' = ticks can be undone
 
 // ============================================================================
 // UI Update Functions
 // ============================================================================
 
-function showError(message) {
+// kind 'notice' shows the message as a warning rather than an error, for longer
+function showError(message, kind = 'error') {
   const errorEl = document.getElementById('error');
   if (message) {
     errorEl.textContent = message;
+    errorEl.className = kind === 'notice' ? 'error-message notice' : 'error-message';
     errorEl.style.display = 'block';
     setTimeout(() => {
       errorEl.style.display = 'none';
-    }, 3000);
+    }, kind === 'notice' ? 8000 : 3000);
   } else {
     errorEl.style.display = 'none';
   }
 }
 
+function showNotice(message) {
+  showError(message, 'notice');
+}
+
+function startRecording() {
+  recorder = createRecorder(gameState, rules);
+  historyStartTick = gameState.tick;
+  historyTick = null;
+  clearUndoHistory();
+  metrics.reset();
+}
+
+function isTickAction(action) {
+  return action.type === 'SIMULATE' || action.type === 'SIMULATE_N';
+}
+
 function dispatch(action) {
+  // Acting while viewing history branches the run off from that tick
+  if (historyTick !== null) {
+    recorder.rewind(historyTick);
+    tickLog = tickLog.filter(entry => entry.tick <= historyTick);
+    metrics.rewind(historyTick);
+    historyTick = null;
+    clearUndoHistory();
+  }
+
   const prevState = gameState;
-  const result = engine(gameState, rules, action);
+  const entryCount = recorder.getEntryCount();
+  recorder.record(gameState, action);
+  const result = engine(gameState, rules, action, { debug: debugMode });
+
+  if (result.invariantReport) {
+    const { action: offending, tick, violations } = result.invariantReport;
+    console.error(`Invariant violations after ${offending.type} at tick ${tick}:`, offending, violations);
+    showError(`${violations.length} invariant violation(s) after ${offending.type} - see console`);
+  }
+
   if (result.error) {
     showError(result.error);
   } else {
     gameState = result.state;
+    pushUndo(prevState, entryCount, action, result.summaries);
 
-    // Log tick events
-    if (action.type === 'SIMULATE') {
-      const logEntry = generateTickLog(prevState, gameState);
-      tickLog.unshift(logEntry);
-      if (tickLog.length > MAX_LOG_ENTRIES) {
-        tickLog.pop();
-      }
+    // Removals refund held items only as far as storage allows
+    const discarded = Object.entries(result.discarded || {});
+    if (discarded.length > 0) {
+      showNotice(`Storage full - lost ${discarded.map(([itemId, qty]) => `${qty} ${itemId.replace(/_/g, ' ')}`).join(', ')}`);
+    }
+
+    // Tick actions report a summary per tick
+    if (result.summaries) {
+      recordSummaries(result.summaries);
     }
 
     updateUI();
   }
 }
 
-function generateTickLog(prevState, newState) {
-  const events = [];
-  const tick = newState.tick;
-
-  // Check extraction
-  for (const node of newState.extractionNodes) {
-    if (node.active) {
-      const prevQty = prevState.inventory[node.resourceType] || 0;
-      const newQty = newState.inventory[node.resourceType] || 0;
-      const extracted = newQty - prevQty;
-      const material = rules.materials.find(m => m.id === node.resourceType);
-      const name = material ? material.name : node.resourceType;
-
-      if (extracted > 0) {
-        events.push(`Extracted ${extracted} ${name}`);
-      } else if (node.rate > 0 && extracted === 0) {
-        const maxStack = getMaxStack(node.resourceType, newState.inventorySpace, rules);
-        if (prevQty >= maxStack) {
-          events.push(`${name} storage full (${maxStack} max)`);
-        }
-      }
-    }
+function recordSummaries(summaries) {
+  for (const summary of summaries) {
+    pushLogEntry(generateSummaryLog(summary));
+    metrics.recordTick(summary);
+  }
+}
+
+function pushLogEntry(logEntry) {
+  tickLog.unshift(logEntry);
+  if (tickLog.length > MAX_LOG_ENTRIES) {
+    tickLog.pop();
   }
+}
+
+// ============================================================================
+// Undo / Redo
+// ============================================================================
+
+function clearUndoHistory() {
+  undoStack = [];
+  redoStack = [];
+}
+
+function pushUndo(prevState, entryCount, action, summaries) {
+  redoStack = [];
+
+  // Under the checkpoint policy a tick commits everything before it
+  if (isTickAction(action) && tickUndoPolicy === 'checkpoint') {
+    undoStack = [];
+    return;
+  }
+
+  undoStack.push({ state: prevState, entryCount, action, summaries });
+  if (undoStack.length > MAX_UNDO_STEPS) {
+    undoStack.shift();
+  }
+}
+
+function undo() {
+  if (historyTick !== null || undoStack.length === 0) return;
+
+  const entry = undoStack.pop();
+
+  redoStack.push({ state: gameState, action: entry.action, summaries: entry.summaries });
+  recorder.truncate(entry.entryCount);
+  gameState = entry.state;
+  tickLog = tickLog.filter(logEntry => logEntry.tick <= gameState.tick);
+  metrics.rewind(gameState.tick);
+  updateUI();
+}
+
+function redo() {
+  if (historyTick !== null || redoStack.length === 0) return;
+
+  const entry = redoStack.pop();
+
+  const prevState = gameState;
+  undoStack.push({ state: prevState, entryCount: recorder.getEntryCount(), action: entry.action, summaries: entry.summaries });
+  recorder.record(prevState, entry.action);
+  gameState = entry.state;
+
+  if (entry.summaries) {
+    recordSummaries(entry.summaries);
+  }
+
+  updateUI();
+}
 
-  // Check production
-  for (const [itemId, qty] of Object.entries(newState.inventory)) {
-    const prevQty = prevState.inventory[itemId] || 0;
+function updateUndoButtons() {
+  const undoBtn = document.getElementById('btnUndo');
+  const redoBtn = document.getElementById('btnRedo');
+  if (!undoBtn || !redoBtn) return;
+
+  const viewingHistory = historyTick !== null;
+  undoBtn.disabled = viewingHistory || undoStack.length === 0;
+  redoBtn.disabled = viewingHistory || redoStack.length === 0;
+  undoBtn.title = undoStack.length > 0 ? `Undo ${undoStack[undoStack.length - 1].action.type}` : '';
+  redoBtn.title = redoStack.length > 0 ? `Redo ${redoStack[redoStack.length - 1].action.type}` : '';
+}
+
+function generateSummaryLog(summary) {
+  const events = [];
+  const getName = (itemId) => {
     const material = rules.materials.find(m => m.id === itemId);
-    if (material && material.category !== 'raw') {
-      const produced = qty - prevQty;
-      if (produced > 0) {
-        events.push(`Produced ${produced} ${material.name}`);
-      }
-    }
+    return material ? material.name : itemId;
+  };
+
+  for (const [itemId, qty] of Object.entries(summary.extracted)) {
+    events.push(`Extracted ${qty} ${getName(itemId)}`);
   }
 
-  // Check research discoveries
-  for (const recipeId of newState.discoveredRecipes) {
-    if (!prevState.discoveredRecipes.includes(recipeId)) {
-      events.push(`Discovered recipe: ${recipeId.replace(/_/g, ' ')}`);
-    }
+  for (const [itemId, qty] of Object.entries(summary.wasted || {})) {
+    events.push(`${getName(itemId)} storage full (${qty} wasted)`);
   }
 
-  // Check blocked machines
-  for (const machine of newState.machines) {
-    const prevMachine = prevState.machines.find(m => m.id === machine.id);
-    if (prevMachine && prevMachine.status !== 'blocked' && machine.status === 'blocked') {
-      events.push(`Machine blocked (energy shortage)`);
-    }
+  for (const [itemId, qty] of Object.entries(summary.produced)) {
+    events.push(`Produced ${qty} ${getName(itemId)}`);
+  }
+
+  for (const recipeId of summary.discovered) {
+    events.push(`Discovered recipe: ${recipeId.replace(/_/g, ' ')}`);
+  }
+
+  for (const machineId of summary.blocked) {
+    events.push(`Machine blocked (energy shortage)`);
   }
 
-  return { tick, events, timestamp: new Date().toLocaleTimeString() };
+  for (const machineId of summary.recovered) {
+    events.push(`Machine recovered`);
+  }
+
+  for (const generatorId of summary.starved) {
+    events.push(`Generator out of fuel`);
+  }
+
+  for (const contractId of summary.failedContracts) {
+    events.push(`Contract failed: ${contractId.replace(/_/g, ' ')}`);
+  }
+
+  for (const contractId of summary.offeredContracts || []) {
+    events.push(`New contract offer`);
+  }
+
+  return { tick: summary.tick, events, timestamp: new Date().toLocaleTimeString() };
 }
 
 function updateUI() {
@@ -118,19 +257,36 @@ function updateUI() {
   updateResearch();
   updateExtractionNodes();
   updateSellDropdown();
+  updateBuyDropdown();
+  updateContracts();
+  updatePlanner();
+  updateMetrics();
   updateTickLog();
   updateInventorySpaceButton();
   updatePlacementTypeDropdown();
   updatePlacementStatus();
   renderFactoryGrid();
   updateExpansionInfo();
+  updateHistoryScrubber();
+  updateUndoButtons();
 }
 
 function updateStats() {
   document.getElementById('tick').textContent = gameState.tick;
   document.getElementById('credits').textContent = gameState.credits;
-  document.getElementById('energy').textContent =
-    `${gameState.energy.consumed}/${gameState.energy.produced}`;
+  // Under the proportional brownout policy machines run at a share of full power
+  const { consumed, produced } = gameState.energy;
+  const powerStr = rules.energy.brownoutPolicy === 'proportional' && consumed > produced
+    ? ` (${Math.floor((produced / consumed) * 100)}% power)`
+    : '';
+  document.getElementById('energy').textContent = `${consumed}/${produced}${powerStr}`;
+
+  // Battery charge against the capacity of every placed battery
+  const storageCapacity = gameState.structures.reduce((sum, structure) => {
+    const config = getStructureType(rules, structure.type);
+    return sum + (config && config.behavior === 'battery' ? config.energyCapacity : 0);
+  }, 0);
+  document.getElementById('energyStored').textContent = `${gameState.energy.stored || 0}/${storageCapacity}`;
   document.getElementById('floorSpace').textContent =
     `${gameState.floorSpace.width}x${gameState.floorSpace.height}`;
 }
@@ -248,11 +404,16 @@ function updateMachines() {
     return;
   }
 
+  const utilization = metrics.getUtilization();
+  const percent = (share) => `${Math.round(share * 100)}%`;
+
   container.innerHTML = gameState.machines.map((machine, index) => {
     const recipe = machine.recipeId
       ? rules.recipes.find(r => r.id === machine.recipeId)
       : null;
     const recipeName = recipe ? recipe.id.replace(/_/g, ' ') : 'None';
+    const machineType = getMachineType(machine, rules);
+    const typeName = machineType ? machineType.name : machine.type;
 
     // Build buffer display
     let bufferStr = '';
@@ -265,28 +426,95 @@ function updateMachines() {
         .join(', ');
     }
 
-    // Recipe options with requirements in tooltip
+    // Recipe options with requirements in tooltip (only categories this type can run)
     const recipeOptions = gameState.unlockedRecipes.map(recipeId => {
       const r = rules.recipes.find(rr => rr.id === recipeId);
+      if (machineType && !machineType.categories.includes(r.category)) return '';
       const selected = machine.recipeId === recipeId ? 'selected' : '';
       const inputsStr = Object.entries(r.inputs).map(([id, qty]) => `${qty}x ${id}`).join(' + ');
       const outputsStr = Object.entries(r.outputs).map(([id, qty]) => `${qty}x ${id}`).join(', ');
-      return `<option value="${recipeId}" ${selected} title="${inputsStr} → ${outputsStr}">${recipeId.replace(/_/g, ' ')}</option>`;
+      const energyDraw = getMachineEnergy({ ...machine, recipeId }, rules);
+      return `<option value="${recipeId}" ${selected} title="${inputsStr} → ${outputsStr} (${energyDraw}E)">${recipeId.replace(/_/g, ' ')}</option>`;
     }).join('');
 
     const unblockButton = machine.status === 'blocked'
       ? `<button onclick="window.unblockMachine('${machine.id}')" class="unblock-btn">Unblock</button>`
       : '';
 
+    const priorityOptions = rules.energy.priorities.map(priority =>
+      `<option value="${priority}" ${(machine.priority || rules.energy.defaultPriority) === priority ? 'selected' : ''}>${priority}</option>`
+    ).join('');
+
     const toggleButton = `<button onclick="window.toggleMachine('${machine.id}')" class="toggle-btn">${machine.enabled ? 'Disable' : 'Enable'}</button>`;
     const enabledBadge = machine.enabled ? '' : '<span class="disabled-badge">OFF</span>';
 
     const posInfo = typeof machine.x === 'number' ? `(${machine.x}, ${machine.y})` : '';
 
+    // Energy this machine draws while running its recipe
+    const energyDraw = recipe ? getMachineEnergy(machine, rules) : 0;
+    const isDrawing = machine.enabled && machine.status !== 'blocked' && recipe;
+    const energyInfo = `<span class="machine-energy ${isDrawing ? '' : 'inactive'}">-${energyDraw}E</span>`;
+
+    // Progress toward the current craft (recipes may take several ticks)
+    let progressStr = '';
+    if (recipe) {
+      const duration = recipe.ticksToComplete || 1;
+      // Slowed machines (proportional power) make fractional progress
+      const progress = Math.round((machine.progress || 0) * 100) / 100;
+      const progressPercent = Math.round((progress / duration) * 100);
+      const speed = getMachineSpeed(machine, rules);
+      progressStr = `
+        <div class="progress-display">
+          Progress: ${progress}/${duration} ticks${speed !== 1 ? ` (x${speed} speed)` : ''}
+          <span class="progress-bar"><div class="progress-fill" style="width: ${progressPercent}%"></div></span>
+        </div>
+      `;
+    }
+
+    // Share of recent ticks spent crafting, starving for inputs or waiting for room
+    const usage = utilization[machine.id];
+    let usageStr = '';
+    if (usage && recipe) {
+      const starved = usage.starved > 0 ? ` | <span class="needs-material">starved ${percent(usage.starved)}</span>` : '';
+      const outputBlocked = usage.outputBlocked > 0 ? ` | output full ${percent(usage.outputBlocked)}` : '';
+      usageStr = `<div class="buffer-display">Utilization: ${percent(usage.utilization)}${starved}${outputBlocked}</div>`;
+    }
+
+    // Output side and routed outputs (logistics mode)
+    let logisticsStr = '';
+    if (rules.logistics.enabled) {
+      const directionOptions = Object.keys(DIRECTIONS).map(direction =>
+        `<option value="${direction}" ${machine.outputDirection === direction ? 'selected' : ''}>${DIRECTION_ARROWS[direction]} ${direction}</option>`
+      ).join('');
+      const outputStr = Object.entries(machine.outputBuffer || {})
+        .map(([id, qty]) => `${id.replace(/_/g, ' ')}: ${qty}`)
+        .join(', ');
+      logisticsStr = `
+        <div class="buffer-display">
+          Output: <select onchange="window.setMachineOutput('${machine.id}', this.value)">${directionOptions}</select>
+          ${outputStr ? `Waiting: ${outputStr}` : ''}
+        </div>
+      `;
+    }
+
+    // Upgrade buttons with their level and next cost
+    const upgradeButtons = Object.entries(rules.machines.upgrades).map(([upgradeId, upgrade]) => {
+      const level = (machine.upgrades && machine.upgrades[upgradeId]) || 0;
+      const cost = getMachineUpgradeCost(machine, rules, upgradeId);
+      if (!cost) {
+        return `<button disabled>${upgrade.name} ${level}/${upgrade.maxLevel}</button>`;
+      }
+      const have = gameState.inventory[cost.itemId] || 0;
+      return `<button onclick="window.upgradeMachine('${machine.id}', '${upgradeId}')" ${have < cost.quantity ? 'disabled' : ''} title="Have ${have}">
+        ${upgrade.name} ${level}/${upgrade.maxLevel} (${cost.quantity}x ${cost.itemId.replace(/_/g, ' ')})
+      </button>`;
+    }).join('');
+
     return `
       <div class="machine-card">
         <div class="machine-header">
-          <strong>Machine #${index + 1}</strong> <small style="color: #888;">${posInfo}</small>
+          <strong>${typeName} #${index + 1}</strong> <small style="color: #888;">${posInfo}</small>
+          ${energyInfo}
           ${enabledBadge}
           <span class="machine-status status-${machine.status}">${machine.status}</span>
           ${toggleButton}
@@ -295,13 +523,20 @@ function updateMachines() {
         <div>Recipe: ${recipeName}</div>
         ${recipe ? formatRecipeRequirements(recipe) : ''}
         ${bufferStr ? `<div class="buffer-display">Buffer: ${bufferStr}</div>` : ''}
+        ${progressStr}
+        ${usageStr}
+        ${logisticsStr}
         <div class="machine-controls">
           <select onchange="window.assignRecipe('${machine.id}', this.value)">
             <option value="">-- Select Recipe --</option>
             ${recipeOptions}
           </select>
+          <select onchange="window.setMachinePriority('${machine.id}', this.value)" title="Energy priority">
+            ${priorityOptions}
+          </select>
           <button onclick="window.removeMachine('${machine.id}')">Remove</button>
         </div>
+        <div class="machine-controls">${upgradeButtons}</div>
       </div>
     `;
   }).join('');
@@ -320,9 +555,23 @@ function updateGenerators() {
     const name = genType ? genType.name : gen.type;
     const posInfo = typeof gen.x === 'number' ? `(${gen.x}, ${gen.y})` : '';
 
+    // Fueled generators show their buffer and stop when it runs dry
+    let fuelStr = '';
+    if (genType && genType.fuel) {
+      const stored = Object.entries(gen.fuelBuffer || {})
+        .map(([id, qty]) => `${id.replace(/_/g, ' ')}: ${qty}`)
+        .join(', ');
+      const fuelNames = genType.fuel.items.map(id => id.replace(/_/g, ' ')).join('/');
+      fuelStr = `
+        <small style="color: #888;">Fuel (${genType.fuel.perTick} ${fuelNames}/tick): ${stored || 'empty'}</small>
+        <span class="machine-status status-${gen.status}">${gen.status}</span>
+      `;
+    }
+
     return `
       <div class="generator-card">
         <span>${name} (+${gen.energyOutput} energy) <small style="color: #888;">${posInfo}</small></span>
+        ${fuelStr}
         <button onclick="window.removeGenerator('${gen.id}')">Remove</button>
       </div>
     `;
@@ -336,14 +585,25 @@ function updateResearch() {
 
   const energyCost = rules.research.energyCost;
 
-  if (gameState.research.active) {
+  const pointsMode = rules.research.mode === 'points';
+
+  if (gameState.research.active && pointsMode) {
+    const spareEnergy = gameState.energy.produced - gameState.energy.consumed;
+    const pointsPerTick = spareEnergy >= energyCost ? spareEnergy * rules.research.pointsPerEnergy : 0;
+    btn.textContent = 'Disable Research';
+    status.textContent = `(Active - needs ${energyCost} spare energy, +${pointsPerTick} pts/tick)`;
+  } else if (gameState.research.active) {
+    const chance = Math.min(1, rules.research.discoveryChance + (gameState.research.progress || 0));
     btn.textContent = 'Disable Research';
-    status.textContent = `(Active - using ${energyCost} energy)`;
+    status.textContent = `(Active - using ${energyCost} energy, ${Math.round(chance * 100)}% chance)`;
   } else {
     btn.textContent = 'Enable Research';
     status.textContent = `(Inactive - costs ${energyCost} energy)`;
   }
 
+  updateResearchTargets();
+  updateResearchProgress();
+
   // Show discovered recipes grouped by status
   const discovered = gameState.discoveredRecipes;
   const unlocked = gameState.unlockedRecipes;
@@ -362,48 +622,514 @@ function updateResearch() {
     if (isUnlocked) {
       return `<div class="recipe-item unlocked">${recipeId.replace(/_/g, ' ')} (unlocked)</div>`;
     } else {
+      const status = getUnlockStatus(gameState, rules, recipeId);
+
+      // Cost parts are colored by whether we can currently pay them
+      const costParts = [];
+      if (status.cost.credits > 0) {
+        const colorClass = status.missingCredits > 0 ? 'needs-material' : 'has-material';
+        costParts.push(`<span class="${colorClass}">${status.cost.credits} cr</span>`);
+      }
+      for (const [itemId, qty] of Object.entries(status.cost.items)) {
+        const material = rules.materials.find(m => m.id === itemId);
+        const name = material ? material.name : itemId;
+        const colorClass = status.missingItems[itemId] ? 'needs-material' : 'has-material';
+        costParts.push(`<span class="${colorClass}">${qty}x ${name}</span>`);
+      }
+      const costStr = costParts.length > 0 ? costParts.join(' + ') : 'Free';
+
+      const prereqStr = status.missingPrerequisites.length > 0
+        ? `<div class="unlock-prereqs">Requires: ${status.missingPrerequisites.map(id => id.replace(/_/g, ' ')).join(', ')}</div>`
+        : '';
+
       return `
         <div class="recipe-item discovered">
           ${recipeId.replace(/_/g, ' ')}
-          <button onclick="window.unlockRecipe('${recipeId}')" style="margin-left: 10px; padding: 2px 8px; font-size: 0.8rem;">
+          <button onclick="window.unlockRecipe('${recipeId}')" ${status.canUnlock ? '' : 'disabled'} style="margin-left: 10px; padding: 2px 8px; font-size: 0.8rem;">
             Unlock
           </button>
+          <div class="unlock-cost">Cost: ${costStr}</div>
+          ${prereqStr}
         </div>
       `;
     }
   }).join('');
 }
 
+function formatResearchTarget(target) {
+  if (target.type === 'tier') {
+    return `Tier ${target.value}`;
+  }
+  if (target.type === 'material') {
+    const material = rules.materials.find(m => m.id === target.value);
+    return `Any ${material ? material.name : target.value} recipe`;
+  }
+  return `Recipe: ${target.value.replace(/_/g, ' ')}`;
+}
+
+function updateResearchTargets() {
+  const select = document.getElementById('researchTarget');
+  const queueContainer = document.getElementById('researchQueue');
+  if (!select || !queueContainer) return;
+
+  // Only offer targets that still have something left to discover
+  const undiscovered = rules.recipes.filter(r => !gameState.discoveredRecipes.includes(r.id));
+  const tiers = [...new Set(undiscovered.map(r => r.tier))].sort((a, b) => a - b);
+  const materials = [...new Set(undiscovered.flatMap(r => Object.keys(r.outputs)))];
+
+  const previous = select.value;
+  let options = '<option value="">-- Research Target --</option>';
+  options += '<optgroup label="Tier">';
+  options += tiers.map(tier => `<option value="tier:${tier}">Tier ${tier}</option>`).join('');
+  options += '</optgroup><optgroup label="Material">';
+  options += materials.map(itemId => {
+    const material = rules.materials.find(m => m.id === itemId);
+    return `<option value="material:${itemId}">${material ? material.name : itemId}</option>`;
+  }).join('');
+  options += '</optgroup><optgroup label="Recipe">';
+  options += undiscovered.map(r => `<option value="recipe:${r.id}">${r.id.replace(/_/g, ' ')}</option>`).join('');
+  options += '</optgroup>';
+  select.innerHTML = options;
+  select.value = previous;
+  if (select.value !== previous) {
+    select.value = '';
+  }
+
+  const queue = gameState.research.queue || [];
+  if (queue.length === 0) {
+    queueContainer.innerHTML = '<em>No target - discoveries are random</em>';
+    return;
+  }
+
+  queueContainer.innerHTML = queue.map((target, index) => `
+    <div class="research-target ${index === 0 ? 'active' : ''}">
+      ${index === 0 ? 'Focus' : `#${index + 1}`}: ${formatResearchTarget(target)}
+      <button onclick="window.removeResearchTarget(${index})">x</button>
+    </div>
+  `).join('');
+}
+
+function updateResearchProgress() {
+  const container = document.getElementById('researchProgress');
+  if (!container) return;
+
+  if (rules.research.mode !== 'points') {
+    container.style.display = 'none';
+    return;
+  }
+
+  container.style.display = 'block';
+  const candidate = getNextResearchCandidate(gameState, rules);
+  if (!candidate) {
+    container.innerHTML = '<em>Everything discovered</em>';
+    return;
+  }
+
+  const points = Math.floor(gameState.research.points || 0);
+  const cost = getResearchPointCost(candidate, rules);
+  const percent = Math.min(100, Math.round((points / cost) * 100));
+  container.innerHTML = `
+    Next: ${candidate.id.replace(/_/g, ' ')} - ${points}/${cost} pts
+    <span class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></span>
+  `;
+}
+
+function getSelectedResearchTarget() {
+  const value = document.getElementById('researchTarget').value;
+  if (!value) return null;
+
+  const [type, rawValue] = value.split(':');
+  return { type, value: type === 'tier' ? parseInt(rawValue) : rawValue };
+}
+
 function updateExtractionNodes() {
   const container = document.getElementById('extractionNodes');
 
+  updateNodePurchase();
+
   if (gameState.extractionNodes.length === 0) {
     container.innerHTML = '<em>No nodes</em>';
     return;
   }
 
+  const energy = getNodeEnergy(rules);
+
   container.innerHTML = gameState.extractionNodes.map(node => {
     const material = rules.materials.find(m => m.id === node.resourceType);
     const name = material ? material.name : node.resourceType;
+    const level = node.level || 1;
+    const depleted = node.reserves === 0;
+
+    const details = [`Lv ${level}`];
+    if (typeof node.reserves === 'number') {
+      details.push(depleted ? 'depleted' : `${node.reserves} left`);
+    }
+    if (energy > 0) {
+      details.push(`-${energy}E`);
+    }
+
+    const upgradeCost = getNodeUpgradeCost(node, rules);
+    const canUpgrade = upgradeCost !== null && !depleted && level < rules.extraction.maxLevel;
+    const upgradeButton = canUpgrade
+      ? `<button onclick="window.upgradeNode('${node.id}')" ${gameState.credits < upgradeCost ? 'disabled' : ''}>Upgrade (${upgradeCost} cr)</button>`
+      : '';
+    const toggleButton = depleted
+      ? ''
+      : `<button onclick="window.toggleNode('${node.id}')">${node.active ? 'Stop' : 'Start'}</button>`;
 
     return `
-      <div class="extraction-node">
-        <span>${name}</span>
-        <span>+${node.rate}/tick</span>
+      <div class="extraction-node ${node.active && !depleted ? '' : 'inactive'}">
+        <span>${name} <small style="color: #888;">${details.join(' | ')}</small></span>
+        <span>+${node.rate}/tick ${upgradeButton} ${toggleButton}</span>
       </div>
     `;
   }).join('');
 }
 
+function updateNodePurchase() {
+  const select = document.getElementById('nodeResource');
+  if (!select) return;
+
+  const previous = select.value;
+  select.innerHTML = Object.entries(rules.extraction.resources).map(([resourceId, resource]) => {
+    const material = rules.materials.find(m => m.id === resourceId);
+    const name = material ? material.name : resourceId;
+    const cost = getNodeCost(gameState, rules, resourceId);
+    return `<option value="${resourceId}">${name} (+${resource.baseRate}/tick) - ${cost} cr</option>`;
+  }).join('');
+  if (previous) {
+    select.value = previous;
+  }
+}
+
 function updateSellDropdown() {
   const select = document.getElementById('sellItem');
   const items = Object.entries(gameState.inventory).filter(([, qty]) => qty > 0);
 
+  const previous = select.value;
   select.innerHTML = items.map(([itemId, qty]) => {
     const material = rules.materials.find(m => m.id === itemId);
     const name = material ? material.name : itemId;
     return `<option value="${itemId}">${name} (${qty})</option>`;
   }).join('');
+  if (items.some(([itemId]) => itemId === previous)) {
+    select.value = previous;
+  }
+
+  updateSalePreview();
+}
+
+function updateSalePreview() {
+  const container = document.getElementById('salePreview');
+  if (!container) return;
+
+  const itemId = document.getElementById('sellItem').value;
+  const qty = gameState.inventory[itemId] || 0;
+
+  let html = '';
+  if (itemId && qty > 0) {
+    const one = previewSale(gameState, rules, itemId, 1);
+    const all = previewSale(gameState, rules, itemId, qty);
+    html += `Sell 1: ${one.total} cr | Sell all (${qty}): ${all.total} cr`;
+    if (all.noveltyUnits > 0) {
+      html += ` <span class="novelty-badge">NEW x${rules.market.noveltyBonus} on ${all.noveltyUnits}</span>`;
+    }
+  }
+
+  // Active demand shocks
+  const shocks = gameState.market.shocks;
+  if (shocks.length > 0) {
+    html += shocks.map(shock => {
+      const direction = shock.multiplier >= 1 ? 'shock-up' : 'shock-down';
+      return `<div class="${direction}">${shock.category} demand x${shock.multiplier} (${shock.remaining} ticks)</div>`;
+    }).join('');
+  }
+
+  container.innerHTML = html;
+}
+
+function updateBuyDropdown() {
+  const select = document.getElementById('buyItem');
+  if (!select) return;
+
+  const previous = select.value;
+  select.innerHTML = rules.materials
+    .filter(m => canBuyItem(m.id, rules))
+    .map(m => `<option value="${m.id}">${m.name}</option>`)
+    .join('');
+  if (previous) {
+    select.value = previous;
+  }
+
+  updateBuyPreview();
+}
+
+// ============================================================================
+// Production Planner
+// ============================================================================
+
+let plannerChoices = {}; // itemId -> recipeId picked among alternates
+
+function updatePlannerDropdown() {
+  const select = document.getElementById('plannerItem');
+  if (!select) return;
+
+  const previous = select.value;
+  select.innerHTML = '<option value="">-- Target Item --</option>' + rules.materials
+    .filter(m => m.category !== 'raw')
+    .map(m => `<option value="${m.id}">${m.name}</option>`)
+    .join('');
+  select.value = previous;
+}
+
+function updatePlanner() {
+  const container = document.getElementById('plannerResult');
+  if (!container) return;
+
+  const itemId = document.getElementById('plannerItem').value;
+  const rate = parseFloat(document.getElementById('plannerRate').value);
+  if (!itemId) {
+    container.innerHTML = '<em>Select an item to plan</em>';
+    return;
+  }
+
+  const { plan, error } = planProduction(rules, itemId, rate, {
+    state: gameState,
+    recipeChoices: plannerChoices
+  });
+  if (error) {
+    container.innerHTML = `<em>${error}</em>`;
+    return;
+  }
+
+  const round = (n) => Math.round(n * 100) / 100;
+  const getName = (id) => {
+    const material = rules.materials.find(m => m.id === id);
+    return material ? material.name : id;
+  };
+
+  // One row per recipe; items with alternate recipes get a picker
+  const rows = plan.steps.map(step => {
+    const alternates = rules.recipes.filter(r => r.outputs[step.itemId]);
+    const recipeCell = alternates.length > 1
+      ? `<select onchange="window.setPlannerRecipe('${step.itemId}', this.value)">
+          ${alternates.map(r => `<option value="${r.id}" ${r.id === step.recipeId ? 'selected' : ''}>${r.id.replace(/_/g, ' ')}</option>`).join('')}
+        </select>`
+      : step.recipeId.replace(/_/g, ' ');
+    const machineType = rules.machines.types.find(t => t.id === step.machineType);
+    const locked = step.unlocked === false ? ' <span class="needs-material">(locked)</span>' : '';
+    return `
+      <tr>
+        <td>${getName(step.itemId)}${locked}</td>
+        <td>${recipeCell}</td>
+        <td>${step.machineCount}x ${machineType ? machineType.name : step.machineType} <small style="color: #888;">(${round(step.machines)})</small></td>
+        <td>${step.energy}E</td>
+      </tr>
+    `;
+  }).join('');
+
+  const machineStr = Object.entries(plan.machines)
+    .map(([typeId, count]) => {
+      const machineType = rules.machines.types.find(t => t.id === typeId);
+      return `${count} ${machineType ? machineType.name : typeId}`;
+    })
+    .join(', ');
+
+  // Raw rates are red where running extraction nodes fall short
+  const rawStr = Object.entries(plan.rawRates).map(([id, required]) => {
+    const bottleneck = plan.bottlenecks.find(b => b.itemId === id);
+    return bottleneck
+      ? `<span class="needs-material">${getName(id)}: ${round(required)}/tick (nodes: ${bottleneck.available})</span>`
+      : `<span class="has-material">${getName(id)}: ${round(required)}/tick</span>`;
+  }).join(', ');
+
+  const byproductStr = Object.entries(plan.byproducts)
+    .map(([id, qty]) => `${getName(id)}: ${round(qty)}/tick`)
+    .join(', ');
+
+  container.innerHTML = `
+    <table class="planner-table">
+      <tr><th>Item</th><th>Recipe</th><th>Machines</th><th>Energy</th></tr>
+      ${rows}
+    </table>
+    <div class="sale-preview" style="margin-top: 6px;">
+      Machines: ${machineStr} | Energy: ${plan.energy} (producing ${gameState.energy.produced}) | Floor: ${plan.floorArea} cells
+    </div>
+    <div class="sale-preview">Raw: ${rawStr || 'none'}</div>
+    ${byproductStr ? `<div class="sale-preview">Byproducts: ${byproductStr}</div>` : ''}
+  `;
+}
+
+window.setPlannerRecipe = function(itemId, recipeId) {
+  plannerChoices[itemId] = recipeId;
+  updatePlanner();
+};
+
+// ============================================================================
+// Metrics Charts
+// ============================================================================
+
+function renderSparkline(values, color) {
+  if (values.length < 2) {
+    return '<em>Not enough ticks yet</em>';
+  }
+  const width = 200;
+  const height = 40;
+  const max = Math.max(...values, 1);
+  const step = width / (values.length - 1);
+  const points = values
+    .map((value, i) => `${(i * step).toFixed(1)},${(height - (value / max) * height).toFixed(1)}`)
+    .join(' ');
+  return `<svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+    <polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points}" />
+  </svg>`;
+}
+
+function updateMetrics() {
+  const container = document.getElementById('metricsCharts');
+  if (!container) return;
+
+  const sampleCount = metrics.getSampleCount();
+  if (sampleCount === 0) {
+    container.innerHTML = '<em>Run some ticks to collect metrics</em>';
+    return;
+  }
+
+  const round = (n) => Math.round(n * 100) / 100;
+  const getName = (itemId) => {
+    const material = rules.materials.find(m => m.id === itemId);
+    return material ? material.name : itemId;
+  };
+
+  const produced = metrics.getSeries('produced');
+  const earned = metrics.getSeries('earned');
+  const energyConsumed = metrics.getSeries('energyConsumed');
+  const income = metrics.getIncome();
+
+  const throughputStr = Object.entries(metrics.getThroughput('produced'))
+    .map(([itemId, rate]) => `${getName(itemId)}: ${round(rate)}/tick`)
+    .join(', ');
+  const wastedStr = Object.entries(metrics.getThroughput('wasted'))
+    .map(([itemId, rate]) => `${getName(itemId)}: ${round(rate)}/tick`)
+    .join(', ');
+
+  // One bar per machine; the red part is time spent starving for inputs
+  const utilization = metrics.getUtilization();
+  const machineRows = gameState.machines
+    .filter(machine => utilization[machine.id] && machine.recipeId)
+    .map(machine => {
+      const usage = utilization[machine.id];
+      const machineType = getMachineType(machine, rules);
+      const index = gameState.machines.indexOf(machine) + 1;
+      return `
+        <div class="metric-row">
+          <span>${machineType ? machineType.name : machine.type} #${index}</span>
+          <span class="utilization-bar">
+            <span class="utilization-working" style="width: ${usage.utilization * 100}%"></span>
+            <span class="utilization-starved" style="width: ${usage.starved * 100}%"></span>
+          </span>
+          <small>${Math.round(usage.utilization * 100)}%</small>
+        </div>
+      `;
+    }).join('');
+
+  container.innerHTML = `
+    <div class="sale-preview">Last ${sampleCount} ticks (window ${METRICS_WINDOW})</div>
+    <div class="metric-chart">
+      <div>Items produced / tick</div>
+      ${renderSparkline(produced, '#28a745')}
+    </div>
+    <div class="metric-chart">
+      <div>Credits earned / tick (avg ${round(income.earned)}, net ${round(income.net)})</div>
+      ${renderSparkline(earned, '#ffc107')}
+    </div>
+    <div class="metric-chart">
+      <div>Energy used / tick</div>
+      ${renderSparkline(energyConsumed, '#17a2b8')}
+    </div>
+    <div class="sale-preview">Throughput: ${throughputStr || 'none'}</div>
+    ${wastedStr ? `<div class="sale-preview"><span class="needs-material">Wasted: ${wastedStr}</span></div>` : ''}
+    <h3 style="margin-top: 10px; font-size: 0.9rem; color: #888;">Machine Utilization:</h3>
+    ${machineRows || '<em>No machines running recipes</em>'}
+  `;
+}
+
+function getBuyQuantity() {
+  return parseInt(document.getElementById('buyQuantity').value) || 0;
+}
+
+function updateBuyPreview() {
+  const container = document.getElementById('buyPreview');
+  if (!container) return;
+
+  const itemId = document.getElementById('buyItem').value;
+  const qty = getBuyQuantity();
+  if (!itemId || qty < 1) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const purchase = previewPurchase(gameState, rules, itemId, qty);
+  const have = gameState.inventory[itemId] || 0;
+  const maxStack = getMaxStack(itemId, gameState.inventorySpace, rules);
+  const room = Math.max(0, maxStack - have);
+  const colorClass = purchase.total <= gameState.credits && qty <= room ? 'has-material' : 'needs-material';
+
+  container.innerHTML = `
+    <span class="${colorClass}">Cost: ${purchase.total} cr</span>
+    (${purchase.averagePrice.toFixed(1)} cr/unit) | Room: ${room}
+  `;
+}
+
+function updateContracts() {
+  const status = document.getElementById('contractStatus');
+  if (!status) return;
+
+  const { contracts } = gameState;
+  status.textContent = `Reputation: ${contracts.reputation} | Completed: ${contracts.completed} | Failed: ${contracts.failed}`;
+
+  const getName = (itemId) => {
+    const material = rules.materials.find(m => m.id === itemId);
+    return material ? material.name : itemId;
+  };
+
+  const active = document.getElementById('activeContracts');
+  if (contracts.active.length === 0) {
+    active.innerHTML = '<em>No active contracts</em>';
+  } else {
+    active.innerHTML = contracts.active.map(contract => {
+      const remaining = contract.deadline - gameState.tick;
+      const percent = Math.round((contract.delivered / contract.quantity) * 100);
+      const have = gameState.inventory[contract.itemId] || 0;
+      const urgentClass = remaining < contract.duration * 0.2 ? 'overdue-soon' : '';
+      return `
+        <div class="contract-card">
+          <div class="contract-header">
+            <span>${contract.delivered}/${contract.quantity} ${getName(contract.itemId)}</span>
+            <button onclick="window.deliverContract('${contract.id}')" ${have > 0 ? '' : 'disabled'}>Deliver</button>
+          </div>
+          <span class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></span>
+          <div>${getContractPayout(contract, gameState, rules)} cr | <span class="${urgentClass}">${remaining} ticks left</span> | penalty ${contract.penalty} cr</div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  const available = document.getElementById('availableContracts');
+  if (contracts.available.length === 0) {
+    available.innerHTML = '<em>No offers</em>';
+  } else {
+    const full = contracts.active.length >= rules.contracts.maxActive;
+    available.innerHTML = contracts.available.map(contract => `
+      <div class="contract-card">
+        <div class="contract-header">
+          <span>${contract.quantity} ${getName(contract.itemId)} within ${contract.duration} ticks</span>
+          <button onclick="window.acceptContract('${contract.id}')" ${full ? 'disabled' : ''}>Accept</button>
+        </div>
+        <div>${getContractPayout(contract, gameState, rules)} cr | penalty ${contract.penalty} cr | offer ends in ${contract.offerExpiresAt - gameState.tick} ticks</div>
+      </div>
+    `).join('');
+  }
 }
 
 function updateTickLog() {
@@ -444,13 +1170,65 @@ function updateInventorySpaceButton() {
 // Factory Floor Grid Functions
 // ============================================================================
 
+const STRUCTURE_LABELS = {
+  machine: 'M',
+  generator: 'G',
+  node: 'N'
+};
+
+const DIRECTION_ARROWS = {
+  up: '↑',
+  right: '→',
+  down: '↓',
+  left: '←'
+};
+
+// Registry structures are placed under their structure type id
+function getPlacedStructure(placement) {
+  return STRUCTURE_LABELS[placement.type]
+    ? null
+    : gameState.structures.find(s => s.id === placement.id);
+}
+
+// Grid label for a placement; in logistics mode flows are drawn as arrows
+function getStructureLabel(placement) {
+  const structure = getPlacedStructure(placement);
+  if (structure) {
+    // Conveyors are just arrows, other structures add their initial
+    // (structures that don't move items have no direction to show)
+    const config = getStructureType(rules, structure.type);
+    const behavior = config && getStructureBehavior(config.behavior);
+    if (behavior && behavior.logistics === false) {
+      return config.name[0];
+    }
+    const arrow = DIRECTION_ARROWS[structure.direction];
+    return !config || config.behavior === 'conveyor' ? arrow : `${config.name[0]}${arrow}`;
+  }
+  if (placement.type === 'machine') {
+    // Machines show their type's initial (W, F, A, ...)
+    const machine = gameState.machines.find(m => m.id === placement.id);
+    const machineType = machine ? getMachineType(machine, rules) : null;
+    const label = machineType ? machineType.name[0] : STRUCTURE_LABELS.machine;
+    return machine && rules.logistics.enabled
+      ? `${label}${DIRECTION_ARROWS[machine.outputDirection]}`
+      : label;
+  }
+  return STRUCTURE_LABELS[placement.type] || '?';
+}
+
 function getPlacementSize() {
   if (!placementMode) return 0;
   if (placementMode.type === 'machine') {
-    return getStructureSize(rules.machines.baseSpace);
+    const typeConfig = rules.machines.types.find(t => t.id === placementMode.machineType);
+    return typeConfig ? getStructureSize(typeConfig.spaceCost) : 0;
   } else if (placementMode.type === 'generator') {
     const genConfig = rules.generators.types.find(g => g.id === placementMode.generatorType);
     return genConfig ? getStructureSize(genConfig.spaceCost) : 0;
+  } else if (placementMode.type === 'node') {
+    return getStructureSize(rules.extraction.spaceCost);
+  } else if (placementMode.type === 'structure') {
+    const config = getStructureType(rules, placementMode.structureType);
+    return config ? getStructureSize(config.spaceCost) : 0;
   }
   return 0;
 }
@@ -488,20 +1266,34 @@ function renderFactoryGrid() {
 
       let cellClass = 'grid-cell';
       let content = '';
+      let title = '';
 
       if (occupied) {
         cellClass += ` occupied ${occupied.type}`;
+        const structure = getPlacedStructure(occupied);
+        if (structure) {
+          cellClass += ' structure';
+          const items = Object.entries(structure.items);
+          if (items.length > 0) {
+            cellClass += ' loaded';
+          }
+          const config = getStructureType(rules, structure.type);
+          const contents = config && config.behavior === 'battery'
+            ? `${structure.charge}/${config.energyCapacity} energy`
+            : items.map(([id, qty]) => `${qty}x ${id}`).join(', ') || 'empty';
+          title = `${config ? config.name : structure.type}: ${contents} (click to remove)`;
+        }
         if (occupied.isOrigin && occupied.size > 1) {
           // Show label on origin cell for multi-cell structures
-          const label = occupied.type === 'machine' ? 'M' : 'G';
+          const label = getStructureLabel(occupied);
           content = `<span class="structure-overlay" style="width: ${occupied.size * 30 + (occupied.size - 1)}px; height: ${occupied.size * 30 + (occupied.size - 1)}px;">${label}</span>`;
         } else if (occupied.isOrigin && occupied.size === 1) {
-          const label = occupied.type === 'machine' ? 'M' : 'G';
+          const label = getStructureLabel(occupied);
           content = `<span class="structure-overlay" style="width: 30px; height: 30px;">${label}</span>`;
         }
       }
 
-      html += `<div class="${cellClass}" data-x="${x}" data-y="${y}">${content}</div>`;
+      html += `<div class="${cellClass}" data-x="${x}" data-y="${y}" title="${title}">${content}</div>`;
     }
   }
 
@@ -521,7 +1313,14 @@ function handleGridClick(event) {
   const y = parseInt(cell.dataset.y);
 
   if (!placementMode) {
-    // Maybe show info about what's there?
+    // Structures have no card of their own - clicking one removes it
+    const occupied = getPlacementAt(gameState, x, y);
+    if (occupied && getPlacedStructure(occupied)) {
+      dispatch({
+        type: 'REMOVE_STRUCTURE',
+        payload: { structureId: occupied.id }
+      });
+    }
     return;
   }
 
@@ -537,13 +1336,28 @@ function handleGridClick(event) {
   if (placementMode.type === 'machine') {
     dispatch({
       type: 'ADD_MACHINE',
-      payload: { x, y }
+      payload: { machineType: placementMode.machineType, x, y }
     });
   } else if (placementMode.type === 'generator') {
     dispatch({
       type: 'ADD_GENERATOR',
       payload: { generatorType: placementMode.generatorType, x, y }
     });
+  } else if (placementMode.type === 'node') {
+    dispatch({
+      type: 'BUY_EXTRACTION_NODE',
+      payload: { resourceType: placementMode.resourceType, x, y }
+    });
+  } else if (placementMode.type === 'structure') {
+    dispatch({
+      type: 'PLACE_STRUCTURE',
+      payload: {
+        structureType: placementMode.structureType,
+        x,
+        y,
+        direction: document.getElementById('placementDirection').value
+      }
+    });
   }
 
   // Keep placement mode active for quick multi-placement
@@ -586,15 +1400,14 @@ function updatePlacementTypeDropdown() {
 
   let options = '<option value="">-- Select Structure --</option>';
 
-  // Machine option
-  const machineItem = rules.machines.itemId;
-  const machineAvailable = gameState.inventory[machineItem] || 0;
-  const machineSize = getStructureSize(rules.machines.baseSpace);
-  const machineMaterial = rules.materials.find(m => m.id === machineItem);
-  const machineName = machineMaterial ? machineMaterial.name : machineItem;
-  options += `<option value="machine" ${machineAvailable < 1 ? 'disabled' : ''}>
-    ${machineName} (${machineSize}x${machineSize}) - have: ${machineAvailable}
-  </option>`;
+  // Machine options
+  for (const machineType of rules.machines.types) {
+    const machineAvailable = gameState.inventory[machineType.itemId] || 0;
+    const machineSize = getStructureSize(machineType.spaceCost);
+    options += `<option value="machine:${machineType.id}" ${machineAvailable < 1 ? 'disabled' : ''}>
+      ${machineType.name} (${machineSize}x${machineSize}, x${machineType.speed}) - have: ${machineAvailable}
+    </option>`;
+  }
 
   // Generator options
   for (const gen of rules.generators.types) {
@@ -605,7 +1418,34 @@ function updatePlacementTypeDropdown() {
     </option>`;
   }
 
+  // Structure options (structures that handle items need logistics mode)
+  for (const config of rules.structures.types) {
+    const behavior = getStructureBehavior(config.behavior);
+    if (rules.logistics.enabled || (behavior && behavior.logistics === false)) {
+      const size = getStructureSize(config.spaceCost);
+      const costParts = [];
+      let affordable = gameState.credits >= (config.credits || 0);
+      if (config.credits) {
+        costParts.push(`${config.credits} cr`);
+      }
+      if (config.itemId) {
+        const have = gameState.inventory[config.itemId] || 0;
+        costParts.push(`1 ${config.itemId.replace(/_/g, ' ')} (have: ${have})`);
+        affordable = affordable && have > 0;
+      }
+      options += `<option value="structure:${config.id}" ${affordable ? '' : 'disabled'}>
+        ${config.name} (${size}x${size}) - ${costParts.join(' + ') || 'free'}
+      </option>`;
+    }
+  }
+
   select.innerHTML = options;
+
+  // Structures face the direction chosen next to the dropdown
+  const directionSelect = document.getElementById('placementDirection');
+  if (directionSelect) {
+    directionSelect.style.display = rules.logistics.enabled ? 'inline-block' : 'none';
+  }
 }
 
 function updatePlacementStatus() {
@@ -616,10 +1456,17 @@ function updatePlacementStatus() {
   if (placementMode) {
     let name = '';
     if (placementMode.type === 'machine') {
-      name = 'Production Machine';
+      const machineType = rules.machines.types.find(t => t.id === placementMode.machineType);
+      name = machineType ? machineType.name : placementMode.machineType;
     } else if (placementMode.type === 'generator') {
       const gen = rules.generators.types.find(g => g.id === placementMode.generatorType);
       name = gen ? gen.name : placementMode.generatorType;
+    } else if (placementMode.type === 'node') {
+      const material = rules.materials.find(m => m.id === placementMode.resourceType);
+      name = `${material ? material.name : placementMode.resourceType} Node`;
+    } else if (placementMode.type === 'structure') {
+      const config = getStructureType(rules, placementMode.structureType);
+      name = config ? config.name : placementMode.structureType;
     }
     status.textContent = `Click grid to place: ${name}`;
     status.classList.remove('inactive');
@@ -649,6 +1496,107 @@ function updateExpansionInfo() {
   btn.disabled = gameState.credits < expansion.cost;
 }
 
+// ============================================================================
+// History Scrubber
+// ============================================================================
+
+function updateHistoryScrubber() {
+  const scrubber = document.getElementById('historyScrubber');
+  const label = document.getElementById('historyLabel');
+  if (!scrubber || !label) return;
+
+  if (historyTick === null) {
+    liveTick = gameState.tick;
+  }
+
+  scrubber.min = historyStartTick;
+  scrubber.max = liveTick;
+  scrubber.value = historyTick === null ? liveTick : historyTick;
+  scrubber.disabled = liveTick === historyStartTick;
+
+  label.textContent = historyTick === null
+    ? `Tick ${liveTick} (live)`
+    : `Viewing tick ${historyTick} of ${liveTick}`;
+}
+
+function jumpToTick(tick) {
+  const result = replay(recorder.getLog(), rules, { toTick: tick });
+  if (result.error) {
+    showError(result.error);
+    return;
+  }
+
+  gameState = result.state;
+  historyTick = tick >= liveTick ? null : tick;
+  placementMode = null;
+  clearUndoHistory();
+  updateUI();
+}
+
+// ============================================================================
+// Save / Load
+// ============================================================================
+
+function downloadJson(filename, json) {
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function loadSerializedState(json) {
+  const result = deserializeState(json, rules);
+  if (result.error) {
+    showError(result.error);
+    return;
+  }
+
+  if (result.warnings.length > 0) {
+    showNotice(`Save loaded with warnings: ${result.warnings.join(' ')}`);
+  }
+
+  gameState = result.state;
+  tickLog = [];
+  placementMode = null;
+  startRecording();
+  updateUI();
+}
+
+function saveToStorage() {
+  try {
+    localStorage.setItem(SAVE_STORAGE_KEY, serializeState(gameState, rules));
+  } catch (e) {
+    showError(`Could not save game: ${e.message}`);
+  }
+}
+
+function loadFromStorage() {
+  const json = localStorage.getItem(SAVE_STORAGE_KEY);
+  if (!json) {
+    showError('No saved game found');
+    return;
+  }
+  loadSerializedState(json);
+}
+
+function exportSave() {
+  downloadJson(`replaceableParts-tick-${gameState.tick}.json`, serializeState(gameState, rules));
+}
+
+function exportActionLog() {
+  downloadJson(`replaceableParts-log-tick-${liveTick}.json`, JSON.stringify(recorder.getLog()));
+}
+
+function importSave(file) {
+  const reader = new FileReader();
+  reader.onload = () => loadSerializedState(reader.result);
+  reader.onerror = () => showError('Could not read save file');
+  reader.readAsText(file);
+}
+
 // ============================================================================
 // Global Action Functions (called from HTML)
 // ============================================================================
@@ -681,6 +1629,62 @@ window.unlockRecipe = function(recipeId) {
   });
 };
 
+window.removeResearchTarget = function(index) {
+  dispatch({
+    type: 'REMOVE_RESEARCH_TARGET',
+    payload: { index }
+  });
+};
+
+window.acceptContract = function(contractId) {
+  dispatch({
+    type: 'ACCEPT_CONTRACT',
+    payload: { contractId }
+  });
+};
+
+window.deliverContract = function(contractId) {
+  dispatch({
+    type: 'DELIVER_CONTRACT',
+    payload: { contractId }
+  });
+};
+
+window.upgradeNode = function(nodeId) {
+  dispatch({
+    type: 'UPGRADE_NODE',
+    payload: { nodeId }
+  });
+};
+
+window.setMachineOutput = function(machineId, direction) {
+  dispatch({
+    type: 'SET_MACHINE_OUTPUT',
+    payload: { machineId, direction }
+  });
+};
+
+window.setMachinePriority = function(machineId, priority) {
+  dispatch({
+    type: 'SET_MACHINE_PRIORITY',
+    payload: { machineId, priority }
+  });
+};
+
+window.upgradeMachine = function(machineId, upgradeId) {
+  dispatch({
+    type: 'UPGRADE_MACHINE',
+    payload: { machineId, upgradeId }
+  });
+};
+
+window.toggleNode = function(nodeId) {
+  dispatch({
+    type: 'TOGGLE_NODE',
+    payload: { nodeId }
+  });
+};
+
 window.unblockMachine = function(machineId) {
   dispatch({
     type: 'UNBLOCK_MACHINE',
@@ -704,28 +1708,93 @@ document.getElementById('btnSimulate').addEventListener('click', () => {
 });
 
 document.getElementById('btnSimulate10').addEventListener('click', () => {
-  for (let i = 0; i < 10; i++) {
-    dispatch({ type: 'SIMULATE' });
-  }
+  dispatch({ type: 'SIMULATE_N', payload: { ticks: 10 } });
 });
 
 document.getElementById('btnReset').addEventListener('click', () => {
   gameState = createInitialState();
   tickLog = [];
   placementMode = null;
+  startRecording();
   updateUI();
 });
 
+// Logistics mode changes the rules, so the action log starts over
+document.getElementById('logisticsMode').addEventListener('change', (e) => {
+  rules = {
+    ...defaultRules,
+    logistics: { ...defaultRules.logistics, enabled: e.target.checked }
+  };
+  placementMode = null;
+  startRecording();
+  updateUI();
+});
+
+document.getElementById('btnSave').addEventListener('click', saveToStorage);
+document.getElementById('btnLoad').addEventListener('click', loadFromStorage);
+document.getElementById('btnExport').addEventListener('click', exportSave);
+
+document.getElementById('btnImport').addEventListener('click', () => {
+  document.getElementById('importFile').click();
+});
+
+document.getElementById('importFile').addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  if (file) {
+    importSave(file);
+  }
+  // Allow importing the same file again
+  e.target.value = '';
+});
+
+document.getElementById('historyScrubber').addEventListener('change', (e) => {
+  jumpToTick(parseInt(e.target.value));
+});
+
+document.getElementById('btnHistoryLive').addEventListener('click', () => {
+  if (historyTick !== null) {
+    jumpToTick(liveTick);
+  }
+});
+
+document.getElementById('btnExportLog').addEventListener('click', exportActionLog);
+
+document.getElementById('btnUndo').addEventListener('click', undo);
+document.getElementById('btnRedo').addEventListener('click', redo);
+
+document.getElementById('tickUndoPolicy').addEventListener('change', (e) => {
+  tickUndoPolicy = e.target.value;
+});
+
+// Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y to redo
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey)) return;
+  if (e.target instanceof HTMLInputElement && e.target.type !== 'range') return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redo();
+  }
+});
+
 // Placement type selector
 document.getElementById('placementType').addEventListener('change', (e) => {
   const value = e.target.value;
   if (!value) {
     placementMode = null;
-  } else if (value === 'machine') {
-    placementMode = { type: 'machine' };
+  } else if (value.startsWith('machine:')) {
+    const machineType = value.split(':')[1];
+    placementMode = { type: 'machine', machineType };
   } else if (value.startsWith('generator:')) {
     const generatorType = value.split(':')[1];
     placementMode = { type: 'generator', generatorType };
+  } else if (value.startsWith('structure:')) {
+    const structureType = value.split(':')[1];
+    placementMode = { type: 'structure', structureType };
   }
   updatePlacementStatus();
 });
@@ -749,6 +1818,22 @@ document.getElementById('btnToggleResearch').addEventListener('click', () => {
   });
 });
 
+document.getElementById('btnFocusResearch').addEventListener('click', () => {
+  const target = getSelectedResearchTarget();
+  if (target) {
+    dispatch({ type: 'SET_RESEARCH_TARGET', payload: { target } });
+  }
+});
+
+document.getElementById('btnQueueResearch').addEventListener('click', () => {
+  const target = getSelectedResearchTarget();
+  if (target) {
+    dispatch({ type: 'SET_RESEARCH_TARGET', payload: { target, enqueue: true } });
+  }
+});
+
+document.getElementById('sellItem').addEventListener('change', updateSalePreview);
+
 document.getElementById('btnSell').addEventListener('click', () => {
   const itemId = document.getElementById('sellItem').value;
   if (itemId) {
@@ -764,10 +1849,41 @@ document.getElementById('btnSellAll').addEventListener('click', () => {
   }
 });
 
+document.getElementById('buyItem').addEventListener('change', updateBuyPreview);
+document.getElementById('buyQuantity').addEventListener('input', updateBuyPreview);
+
+document.getElementById('btnBuy').addEventListener('click', () => {
+  const itemId = document.getElementById('buyItem').value;
+  const quantity = getBuyQuantity();
+  if (itemId && quantity > 0) {
+    dispatch({ type: 'BUY_GOODS', payload: { itemId, quantity } });
+  }
+});
+
 document.getElementById('btnBuyInventorySpace').addEventListener('click', () => {
   dispatch({ type: 'BUY_INVENTORY_SPACE', payload: {} });
 });
 
+document.getElementById('plannerItem').addEventListener('change', updatePlanner);
+document.getElementById('plannerRate').addEventListener('input', updatePlanner);
+
+document.getElementById('btnBuyNode').addEventListener('click', () => {
+  const resourceType = document.getElementById('nodeResource').value;
+  if (!resourceType) return;
+
+  // Nodes with a footprint are placed on the grid like other structures
+  if (rules.extraction.spaceCost > 0) {
+    placementMode = { type: 'node', resourceType };
+    updatePlacementStatus();
+    return;
+  }
+
+  dispatch({
+    type: 'BUY_EXTRACTION_NODE',
+    payload: { resourceType }
+  });
+});
+
 document.getElementById('autoSimulate').addEventListener('change', (e) => {
   if (e.target.checked) {
     const speed = parseInt(document.getElementById('autoSpeed').value);
@@ -794,6 +1910,19 @@ document.getElementById('autoSpeed').addEventListener('change', (e) => {
 // Initialize
 // ============================================================================
 
+const rulesReport = validateRules(rules);
+for (const warning of rulesReport.warnings) {
+  console.warn(`Rules warning at ${warning.path}: ${warning.message}`);
+}
+if (!rulesReport.valid) {
+  for (const error of rulesReport.errors) {
+    console.error(`Rules error at ${error.path}: ${error.message}`);
+  }
+  showError(`Rules are invalid (${rulesReport.errors.length} errors) - see console`);
+}
+
+startRecording();
+updatePlannerDropdown();
 updateUI();
 console.log('replaceableParts Engine initialized');
 console.log('Initial state:', gameState);
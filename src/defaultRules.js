@@ -48,6 +48,9 @@ export const defaultRules = {
     { id: 'manual_crank', name: 'Manual Crank', basePrice: 30, category: 'equipment', weight: 8 },
     { id: 'water_wheel', name: 'Water Wheel', basePrice: 80, category: 'equipment', weight: 15 },
     { id: 'steam_engine', name: 'Steam Engine', basePrice: 150, category: 'equipment', weight: 25 },
+    { id: 'furnace', name: 'Furnace', basePrice: 120, category: 'equipment', weight: 25 },
+    { id: 'assembler', name: 'Assembler', basePrice: 160, category: 'equipment', weight: 20 },
+    { id: 'accumulator', name: 'Accumulator', basePrice: 90, category: 'equipment', weight: 10 },
   ],
 
   // ============================================================================
@@ -61,6 +64,7 @@ export const defaultRules = {
       outputs: { planks: 1 },
       energyRequired: 1,
       ticksToComplete: 1,
+      category: 'basic',
       tier: 1
     },
     {
@@ -69,6 +73,7 @@ export const defaultRules = {
       outputs: { charcoal: 2 },
       energyRequired: 2,
       ticksToComplete: 1,
+      category: 'smelting',
       tier: 1
     },
     {
@@ -77,6 +82,7 @@ export const defaultRules = {
       outputs: { stone_bricks: 1 },
       energyRequired: 1,
       ticksToComplete: 1,
+      category: 'basic',
       tier: 1
     },
     {
@@ -85,6 +91,7 @@ export const defaultRules = {
       outputs: { gravel: 2 },
       energyRequired: 1,
       ticksToComplete: 1,
+      category: 'basic',
       tier: 1
     },
     {
@@ -93,6 +100,7 @@ export const defaultRules = {
       outputs: { bricks: 1 },
       energyRequired: 2,
       ticksToComplete: 1,
+      category: 'smelting',
       tier: 1
     },
     {
@@ -101,6 +109,7 @@ export const defaultRules = {
       outputs: { glass: 1 },
       energyRequired: 3,
       ticksToComplete: 1,
+      category: 'smelting',
       tier: 1
     },
     {
@@ -109,6 +118,7 @@ export const defaultRules = {
       outputs: { iron_ingot: 1 },
       energyRequired: 3,
       ticksToComplete: 1,
+      category: 'smelting',
       tier: 1
     },
     {
@@ -117,6 +127,7 @@ export const defaultRules = {
       outputs: { copper_ingot: 1 },
       energyRequired: 3,
       ticksToComplete: 1,
+      category: 'smelting',
       tier: 1
     },
 
@@ -127,6 +138,7 @@ export const defaultRules = {
       outputs: { iron_plate: 1 },
       energyRequired: 2,
       ticksToComplete: 1,
+      category: 'basic',
       tier: 2
     },
     {
@@ -135,6 +147,7 @@ export const defaultRules = {
       outputs: { iron_rod: 2 },
       energyRequired: 2,
       ticksToComplete: 1,
+      category: 'basic',
       tier: 2
     },
     {
@@ -143,6 +156,7 @@ export const defaultRules = {
       outputs: { iron_gear: 1 },
       energyRequired: 3,
       ticksToComplete: 1,
+      category: 'basic',
       tier: 2
     },
     {
@@ -151,6 +165,7 @@ export const defaultRules = {
       outputs: { copper_wire: 3 },
       energyRequired: 2,
       ticksToComplete: 1,
+      category: 'basic',
       tier: 2
     },
     {
@@ -159,6 +174,7 @@ export const defaultRules = {
       outputs: { copper_plate: 1 },
       energyRequired: 2,
       ticksToComplete: 1,
+      category: 'basic',
       tier: 2
     },
     {
@@ -167,6 +183,7 @@ export const defaultRules = {
       outputs: { wooden_beam: 1 },
       energyRequired: 1,
       ticksToComplete: 1,
+      category: 'basic',
       tier: 2
     },
     {
@@ -175,6 +192,7 @@ export const defaultRules = {
       outputs: { wooden_crate: 1 },
       energyRequired: 2,
       ticksToComplete: 1,
+      category: 'basic',
       tier: 2
     },
     {
@@ -183,6 +201,7 @@ export const defaultRules = {
       outputs: { iron_ingot: 1 },
       energyRequired: 2,
       ticksToComplete: 1,
+      category: 'smelting',
       tier: 2
     },
     {
@@ -191,6 +210,7 @@ export const defaultRules = {
       outputs: { copper_ingot: 1 },
       energyRequired: 2,
       ticksToComplete: 1,
+      category: 'smelting',
       tier: 2
     },
 
@@ -201,7 +221,9 @@ export const defaultRules = {
       outputs: { tool_handle: 1 },
       energyRequired: 2,
       ticksToComplete: 1,
-      tier: 3
+      category: 'assembly',
+      tier: 3,
+      prerequisites: ['wooden_beam', 'iron_rod']
     },
     {
       id: 'basic_tools',
@@ -209,7 +231,9 @@ export const defaultRules = {
       outputs: { basic_tools: 1 },
       energyRequired: 3,
       ticksToComplete: 1,
-      tier: 3
+      category: 'assembly',
+      tier: 3,
+      prerequisites: ['tool_handle', 'iron_plate']
     },
     {
       id: 'simple_motor',
@@ -217,7 +241,9 @@ export const defaultRules = {
       outputs: { simple_motor: 1 },
       energyRequired: 4,
       ticksToComplete: 1,
-      tier: 3
+      category: 'assembly',
+      tier: 3,
+      prerequisites: ['copper_wire', 'iron_plate', 'iron_gear']
     },
     {
       id: 'window_frame',
@@ -225,7 +251,9 @@ export const defaultRules = {
       outputs: { window_frame: 1 },
       energyRequired: 2,
       ticksToComplete: 1,
-      tier: 3
+      category: 'assembly',
+      tier: 3,
+      prerequisites: ['wooden_beam']
     },
     {
       id: 'foundation_block',
@@ -233,7 +261,9 @@ export const defaultRules = {
       outputs: { foundation_block: 1 },
       energyRequired: 3,
       ticksToComplete: 1,
-      tier: 3
+      category: 'assembly',
+      tier: 3,
+      prerequisites: ['wooden_beam']
     },
     {
       id: 'reinforced_wall',
@@ -241,7 +271,9 @@ export const defaultRules = {
       outputs: { reinforced_wall: 1 },
       energyRequired: 3,
       ticksToComplete: 1,
-      tier: 3
+      category: 'assembly',
+      tier: 3,
+      prerequisites: ['iron_rod']
     },
     {
       id: 'mechanical_arm',
@@ -249,7 +281,10 @@ export const defaultRules = {
       outputs: { mechanical_arm: 1 },
       energyRequired: 5,
       ticksToComplete: 2,
-      tier: 3
+      category: 'assembly',
+      tier: 3,
+      prerequisites: ['simple_motor'],
+      unlockCost: { credits: 400, items: { simple_motor: 1 } }
     },
 
     // Tier 4: Equipment recipes (machines and generators)
@@ -259,6 +294,7 @@ export const defaultRules = {
       outputs: { production_machine: 1 },
       energyRequired: 6,
       ticksToComplete: 2,
+      category: 'equipment',
       tier: 4
     },
     {
@@ -267,6 +303,7 @@ export const defaultRules = {
       outputs: { manual_crank: 1 },
       energyRequired: 2,
       ticksToComplete: 1,
+      category: 'equipment',
       tier: 4
     },
     {
@@ -275,6 +312,7 @@ export const defaultRules = {
       outputs: { water_wheel: 1 },
       energyRequired: 4,
       ticksToComplete: 2,
+      category: 'equipment',
       tier: 4
     },
     {
@@ -283,6 +321,34 @@ export const defaultRules = {
       outputs: { steam_engine: 1 },
       energyRequired: 8,
       ticksToComplete: 3,
+      category: 'equipment',
+      tier: 4
+    },
+    {
+      id: 'furnace',
+      inputs: { bricks: 8, stone_bricks: 4, iron_plate: 2 },
+      outputs: { furnace: 1 },
+      energyRequired: 4,
+      ticksToComplete: 2,
+      category: 'equipment',
+      tier: 4
+    },
+    {
+      id: 'assembler',
+      inputs: { iron_plate: 4, iron_gear: 4, copper_wire: 6 },
+      outputs: { assembler: 1 },
+      energyRequired: 6,
+      ticksToComplete: 3,
+      category: 'equipment',
+      tier: 4
+    },
+    {
+      id: 'accumulator',
+      inputs: { copper_plate: 2, copper_wire: 6, iron_plate: 2 },
+      outputs: { accumulator: 1 },
+      energyRequired: 4,
+      ticksToComplete: 2,
+      category: 'equipment',
       tier: 4
     },
   ],
@@ -292,28 +358,252 @@ export const defaultRules = {
   // ============================================================================
   market: {
     noveltyBonus: 2.0,       // New products sell at 200%
+    noveltyQuantity: 5,      // Units of a never-sold item that get the novelty bonus
     decayRate: 0.05,         // 5% popularity drop per item sold
     recoveryRate: 0.02,      // 2% recovery per tick when not sold
     minPopularity: 0.5,      // Minimum 50% price
-    maxPopularity: 2.0       // Maximum 200% price
+    maxPopularity: 2.0,      // Maximum 200% price
+
+    // Demand curves per material category (multipliers on decay and recovery)
+    categories: {
+      raw: { elasticity: 0.5, recovery: 1.5 },
+      intermediate: { elasticity: 1.0, recovery: 1.0 },
+      final: { elasticity: 1.5, recovery: 0.75 },
+      equipment: { elasticity: 2.0, recovery: 0.5 }
+    },
+
+    // Random demand shocks (seeded RNG) multiplying a category's prices
+    shocks: {
+      chance: 0.01,          // 1% chance per tick
+      minMultiplier: 0.5,
+      maxMultiplier: 1.5,
+      minDuration: 20,       // Ticks
+      maxDuration: 60
+    },
+
+    // Buying inputs from the market
+    buy: {
+      categories: ['raw', 'intermediate'],  // What the market sells
+      spread: 0.5,           // Buy price = basePrice x 150% x pressure
+      pressureRate: 0.03,    // +3% buy price per unit bought
+      maxPressure: 3.0,      // Buy price never exceeds 300% of normal
+      pressureRecovery: 0.02 // Pressure eases by 2% per tick
+    }
+  },
+
+  // ============================================================================
+  // Logistics (optional: machines and conveyors pass items to their neighbours)
+  // ============================================================================
+  logistics: {
+    enabled: false,              // Off = every machine pushes to the global inventory
+    machineBufferMultiplier: 2   // Machines accept up to 2 crafts' worth of each input
+  },
+
+  // ============================================================================
+  // Placeable Structures (logistics mode)
+  // behavior names an entry in the engine's structure behavior registry
+  // ============================================================================
+  structures: {
+    types: [
+      {
+        id: 'conveyor',
+        name: 'Conveyor',
+        behavior: 'conveyor',      // Moves items to the cell it faces
+        spaceCost: 1,              // 1x1 grid
+        credits: 5,                // Placement cost (no deploy item)
+        capacity: 4,               // Items held
+        throughput: 2              // Items moved per tick
+      },
+      {
+        id: 'chest',
+        name: 'Chest',
+        behavior: 'storage',       // Buffers items, feeds the cell it faces
+        spaceCost: 1,
+        itemId: 'wooden_crate',    // Item consumed to place it
+        capacity: 40,
+        throughput: 2
+      },
+      {
+        id: 'splitter',
+        name: 'Splitter',
+        behavior: 'splitter',      // Alternates items between its left and right
+        spaceCost: 1,
+        credits: 25,
+        capacity: 4,
+        throughput: 2
+      },
+      {
+        id: 'battery',
+        name: 'Accumulator',
+        behavior: 'battery',       // Stores surplus energy (no items, works without logistics)
+        spaceCost: 1,
+        itemId: 'accumulator',
+        energyCapacity: 100,       // Energy stored when full
+        chargeRate: 5,             // Max energy banked per tick
+        dischargeRate: 10          // Max energy released per tick
+      }
+    ]
+  },
+
+  // ============================================================================
+  // Extraction Nodes (buying, upgrading, optional energy/footprint/depletion)
+  // ============================================================================
+  extraction: {
+    // Resources that nodes can be bought for: rate per level and purchase cost
+    resources: {
+      wood: { baseRate: 2, cost: 80 },
+      stone: { baseRate: 2, cost: 80 },
+      coal: { baseRate: 2, cost: 100 },
+      clay: { baseRate: 1, cost: 100 },
+      sand: { baseRate: 1, cost: 100 },
+      iron_ore: { baseRate: 1, cost: 150 },
+      copper_ore: { baseRate: 1, cost: 150 }
+    },
+    costGrowth: 1.5,             // Each node of the same resource raises the price by 50%
+    maxLevel: 5,                 // Each level adds baseRate to the node's rate
+    upgradeCostMultiplier: 1.0,  // Upgrade cost = resource cost x multiplier x current level
+    energyPerNode: 0,            // Energy per active node per tick (0 = nodes are free to run)
+    spaceCost: 0,                // Floor cells per bought node (0 = no footprint, else a perfect square)
+    depletion: {
+      enabled: false,            // Opt-in: nodes run dry after extracting their reserves
+      reserves: 2000             // Units a node can extract in total
+    }
+  },
+
+  // ============================================================================
+  // Contracts (orders with deadlines, generated by the seeded RNG)
+  // ============================================================================
+  contracts: {
+    generationChance: 0.05,  // 5% chance per tick of a new offer
+    maxAvailable: 3,         // Open offers at once
+    maxActive: 3,            // Accepted contracts at once
+    offerDuration: 200,      // Ticks an offer stays open
+    categories: ['intermediate', 'final'],  // Items contracts ask for
+    minQuantity: 5,
+    maxQuantity: 25,
+    minDuration: 150,        // Ticks to deliver after accepting
+    maxDuration: 400,
+    rewardMultiplier: 1.5,   // Reward = basePrice x quantity x 150%
+    penaltyRate: 0.25,       // Failing costs 25% of the reward
+    reputationGain: 5,       // Per completed contract
+    reputationLoss: 10,      // Per failed contract
+    reputationBonus: 0.005,  // +0.5% reward per reputation point
+    minReputation: -50,
+    maxReputation: 100
   },
 
   // ============================================================================
   // Research Configuration
   // ============================================================================
   research: {
+    mode: 'chance',          // 'chance' (random rolls) or 'points' (deterministic research points)
     energyCost: 3,           // Energy consumed per tick
     discoveryChance: 0.15,   // 15% chance per tick
-    proximityWeight: 0.5     // +50% weight per matching inventory item
+    proximityWeight: 0.5,    // +50% weight per matching inventory item
+    progressGain: 0.05,      // Each failed roll adds +5% to the next roll's chance
+    maxQueue: 5,             // Maximum queued research targets
+
+    // Weight multiplier for recipes matching the active research target
+    targetWeights: {
+      recipe: 10,            // A specific recipe
+      material: 5,           // Any recipe producing a material
+      tier: 3                // Any recipe of a tier
+    },
+
+    // Points mode: spare energy (and science items) accumulate research points;
+    // a recipe is discovered once points reach its cost
+    pointsPerEnergy: 1,      // Points per unit of spare energy per tick
+    pointCostBase: 20,       // Cost of a tier 1 recipe
+    pointCostGrowth: 2.5,    // Cost multiplier per tier (20, 50, 125, 313)
+    scienceItems: {},        // itemId -> points; one of each is consumed per tick, e.g. { copper_wire: 5 }
+
+    // Cost to unlock a discovered recipe, by tier
+    // (a recipe's own unlockCost overrides its tier cost)
+    unlockCosts: {
+      1: { credits: 20 },
+      2: { credits: 60 },
+      3: { credits: 150, items: { iron_plate: 2 } },
+      4: { credits: 300, items: { iron_gear: 2 } }
+    }
   },
 
   // ============================================================================
   // Machine Configuration (deployed from inventory)
   // ============================================================================
   machines: {
-    itemId: 'production_machine',  // Item required to deploy a machine
-    baseSpace: 1,                  // Floor space units per machine (1x1)
-    baseEnergy: 2                  // Energy consumption per tick
+    energyMode: 'recipe',          // 'flat' (baseEnergy), 'recipe' (energyRequired), 'combined' (both)
+    defaultType: 'workshop',       // Type deployed when none is given
+    types: [
+      {
+        id: 'workshop',
+        itemId: 'production_machine',  // Item required to deploy
+        name: 'Workshop',
+        spaceCost: 1,                  // 1x1 grid
+        speed: 1,                      // Progress per tick
+        baseEnergy: 2,                 // Machine's own energy cost per tick
+        energyMultiplier: 1,           // Multiplier on the recipe's energyRequired
+        categories: ['basic', 'smelting', 'equipment']
+      },
+      {
+        id: 'furnace',
+        itemId: 'furnace',
+        name: 'Furnace',
+        spaceCost: 4,                  // 2x2 grid
+        speed: 2,
+        baseEnergy: 3,
+        energyMultiplier: 1.5,
+        categories: ['smelting']
+      },
+      {
+        id: 'assembler',
+        itemId: 'assembler',
+        name: 'Assembler',
+        spaceCost: 4,                  // 2x2 grid
+        speed: 1.5,
+        baseEnergy: 4,
+        energyMultiplier: 1.25,
+        categories: ['basic', 'assembly', 'equipment']
+      }
+    ],
+    // Upgrades installed on deployed machines (UPGRADE_MACHINE).
+    // Level n costs costPerLevel * n of the item.
+    upgrades: {
+      speed: {
+        name: 'Speed',
+        itemId: 'simple_motor',
+        costPerLevel: 1,
+        maxLevel: 3,
+        bonus: 0.5                     // +0.5 progress per tick per level
+      },
+      efficiency: {
+        name: 'Efficiency',
+        itemId: 'basic_tools',
+        costPerLevel: 1,
+        maxLevel: 3,
+        bonus: 15                      // -15% energy draw per level
+      },
+      yield: {
+        name: 'Yield',
+        itemId: 'mechanical_arm',
+        costPerLevel: 1,
+        maxLevel: 3,
+        bonus: 10                      // +10% outputs per level (whole extra crafts)
+      }
+    }
+  },
+
+  // ============================================================================
+  // Energy Brownouts
+  // ============================================================================
+  energy: {
+    // What happens when machines need more energy than generators produce:
+    //   'newest-first'          - block machines starting from the last added
+    //   'lowest-priority-first' - block low priority machines first (newest first within a priority)
+    //   'proportional'          - block nothing, every machine slows down to the available share
+    brownoutPolicy: 'newest-first',
+    autoRecover: true,              // Unblock machines once spare energy covers their draw
+    priorities: ['low', 'normal', 'high'],  // Lowest first
+    defaultPriority: 'normal'
   },
 
   // ============================================================================
@@ -341,7 +631,15 @@ export const defaultRules = {
         itemId: 'steam_engine',
         name: 'Steam Engine',
         energyOutput: 15,
-        spaceCost: 16              // 4x4 grid
+        spaceCost: 16,             // 4x4 grid
+        // Optional fuel: burns perTick units per tick (items in order of
+        // preference), buffering up to bufferSize pulled from inventory.
+        // Without fuel the generator produces nothing.
+        fuel: {
+          items: ['coal', 'charcoal'],
+          perTick: 1,
+          bufferSize: 10
+        }
       }
     ]
   },
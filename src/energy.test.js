@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { engine } from './engine.js';
+import { defaultRules } from './defaultRules.js';
+import { createInitialState } from './initialState.js';
+
+const rules = {
+  ...defaultRules,
+  energy: { ...defaultRules.energy, brownoutPolicy: 'proportional' },
+  extraction: { ...defaultRules.extraction, energyPerNode: 1 }
+};
+
+function apply(state, action) {
+  const result = engine(state, rules, action, { debug: true });
+  assert.equal(result.error, null, `${action.type}: ${result.error}`);
+  assert.equal(result.invariantReport, undefined);
+  return result;
+}
+
+test('proportional power runs nodes first and slows machines with the rest', () => {
+  // The starter crank (3E) powers one iron ore node (1E) and a smelter (3E)
+  let state = createInitialState(3);
+  state.inventory.coal = 10;
+  for (const node of state.extractionNodes) {
+    if (node.resourceType !== 'iron_ore') {
+      state = apply(state, { type: 'TOGGLE_NODE', payload: { nodeId: node.id } }).state;
+    }
+  }
+  state = apply(state, { type: 'ADD_MACHINE', payload: { x: 2, y: 2, machineType: 'workshop' } }).state;
+  state = apply(state, { type: 'ASSIGN_RECIPE', payload: { machineId: 'machine_1', recipeId: 'iron_ingot' } }).state;
+
+  const { summaries } = apply(state, { type: 'SIMULATE_N', payload: { ticks: 12 } });
+
+  for (const summary of summaries) {
+    assert.deepEqual(summary.extracted, { iron_ore: 1 });
+    assert.equal(summary.machines.machine_1.energy, 2);
+  }
+  assert.ok(summaries.some(summary => summary.produced.iron_ingot > 0), 'the slowed machine still crafts');
+});
+
+test('proportional power gives machines nothing when nodes use it all', () => {
+  // Seven running nodes need more than the crank makes
+  let state = createInitialState(3);
+  state = apply(state, { type: 'ADD_MACHINE', payload: { x: 2, y: 2, machineType: 'workshop' } }).state;
+  state = apply(state, { type: 'ASSIGN_RECIPE', payload: { machineId: 'machine_1', recipeId: 'planks' } }).state;
+
+  const { summaries } = apply(state, { type: 'SIMULATE', payload: {} });
+
+  assert.equal(Object.keys(summaries[0].extracted).length, 3);
+  assert.equal(summaries[0].machines.machine_1.energy, 0);
+});
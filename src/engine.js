@@ -28,8 +28,17 @@ function createRNG(seed) {
 // Utility Functions
 // ============================================================================
 
-function generateId() {
-  return Math.random().toString(36).substring(2, 9);
+function generateId(state, prefix) {
+  // IDs come from a counter persisted in state so replaying the same actions
+  // always yields the same IDs; skip any ID already on the floor (e.g. starter IDs)
+  let counter = state.nextEntityId || 1;
+  let id = `${prefix}_${counter}`;
+  while (state.floorSpace.placements.some(p => p.id === id)) {
+    counter += 1;
+    id = `${prefix}_${counter}`;
+  }
+  state.nextEntityId = counter + 1;
+  return id;
 }
 
 function deepClone(obj) {
@@ -46,6 +55,36 @@ function getMaxStack(itemId, inventoryCapacity, rules) {
   return Math.floor(inventoryCapacity / weight);
 }
 
+// Returns items to inventory up to each item's stack limit. Whatever does not
+// fit is lost; the lost quantities are returned so the action can report them.
+function refundToInventory(state, rules, items) {
+  const discarded = {};
+  for (const [itemId, quantity] of Object.entries(items)) {
+    const currentAmount = state.inventory[itemId] || 0;
+    const spaceLeft = Math.max(0, getMaxStack(itemId, state.inventorySpace, rules) - currentAmount);
+    const refunded = Math.min(quantity, spaceLeft);
+    if (refunded > 0) {
+      state.inventory[itemId] = currentAmount + refunded;
+    }
+    if (quantity > refunded) {
+      discarded[itemId] = (discarded[itemId] || 0) + quantity - refunded;
+    }
+  }
+  return discarded;
+}
+
+// Every credit change outside the tick goes through these so the next tick
+// report can show what was earned and spent since the last one
+function earnCredits(state, amount) {
+  state.credits += amount;
+  state.market.creditsThisTick.earned += amount;
+}
+
+function spendCredits(state, amount) {
+  state.credits -= amount;
+  state.market.creditsThisTick.spent += amount;
+}
+
 // ============================================================================
 // Grid Placement Utilities
 // ============================================================================
@@ -145,68 +184,1061 @@ function getNextExpansionChunk(state, rules) {
 // Energy Calculations
 // ============================================================================
 
+function getMachineType(machine, rules) {
+  return rules.machines.types.find(t => t.id === machine.type);
+}
+
+function getUpgradeLevel(machine, upgradeId) {
+  return (machine.upgrades && machine.upgrades[upgradeId]) || 0;
+}
+
+// Progress per powered tick: the type's speed plus speed upgrades
+function getMachineSpeed(machine, rules) {
+  const machineType = getMachineType(machine, rules);
+  const upgrade = rules.machines.upgrades.speed;
+  const bonus = upgrade ? upgrade.bonus * getUpgradeLevel(machine, 'speed') : 0;
+  return (machineType ? machineType.speed : 1) + bonus;
+}
+
+// Items needed for the next level of an upgrade, null at max level
+function getMachineUpgradeCost(machine, rules, upgradeId) {
+  const upgrade = rules.machines.upgrades[upgradeId];
+  if (!upgrade) return null;
+  const nextLevel = getUpgradeLevel(machine, upgradeId) + 1;
+  if (nextLevel > upgrade.maxLevel) return null;
+  return { itemId: upgrade.itemId, quantity: upgrade.costPerLevel * nextLevel };
+}
+
+function getMachineEnergy(machine, rules) {
+  // Draw depends on the assigned recipe (scaled by the machine type);
+  // energyMode decides how the machine's own base cost is combined with it.
+  // Efficiency upgrades cut both by a percentage per level.
+  const recipe = machine.recipeId
+    ? rules.recipes.find(r => r.id === machine.recipeId)
+    : null;
+  const machineType = getMachineType(machine, rules);
+  const multiplier = machineType ? machineType.energyMultiplier : 1;
+  const efficiency = rules.machines.upgrades.efficiency;
+  const reduction = efficiency ? efficiency.bonus * getUpgradeLevel(machine, 'efficiency') : 0;
+  const scale = Math.max(0, 100 - reduction) / 100;
+  const recipeEnergy = recipe ? Math.ceil(recipe.energyRequired * multiplier * scale) : 0;
+  const baseEnergy = Math.ceil(machine.energyConsumption * scale);
+
+  switch (rules.machines.energyMode) {
+    case 'recipe':
+      return recipeEnergy;
+    case 'combined':
+      return baseEnergy + recipeEnergy;
+    default:
+      return baseEnergy; // 'flat'
+  }
+}
+
 function calculateEnergy(state, rules) {
-  const produced = state.generators.reduce((sum, g) => sum + g.energyOutput, 0);
+  // Starved generators (out of fuel) produce nothing; batteries add what they
+  // release this tick
+  const batteries = getBatteries(state, rules);
+  const produced = state.generators
+    .filter(g => g.status !== 'starved')
+    .reduce((sum, g) => sum + g.energyOutput, 0)
+    + batteries.reduce((sum, { structure }) => sum + (structure.discharge || 0), 0);
+  const stored = batteries.reduce((sum, { structure }) => sum + structure.charge, 0);
 
   let consumed = 0;
 
-  // Machine consumption only (research is checked separately)
+  // Machine and extraction node consumption (research is checked separately)
   for (const machine of state.machines) {
     if (machine.enabled && machine.recipeId && machine.status !== 'blocked') {
-      consumed += machine.energyConsumption;
+      consumed += getMachineEnergy(machine, rules);
+    }
+  }
+
+  for (const node of state.extractionNodes) {
+    if (isNodeRunning(node)) {
+      consumed += getNodeEnergy(rules);
+    }
+  }
+
+  return { produced, consumed, stored };
+}
+
+// ============================================================================
+// Generator Fuel
+// ============================================================================
+
+function getGeneratorFuel(generator, rules) {
+  const genConfig = rules.generators.types.find(t => t.id === generator.type);
+  return genConfig && genConfig.fuel ? genConfig.fuel : null;
+}
+
+function getStoredFuel(generator) {
+  return Object.values(generator.fuelBuffer || {}).reduce((sum, qty) => sum + qty, 0);
+}
+
+// Tops up fuel buffers from inventory and burns this tick's fuel; generators
+// that cannot burn a full tick's worth are starved until refueled
+function burnFuel(state, rules, summary) {
+  for (const generator of state.generators) {
+    const fuel = getGeneratorFuel(generator, rules);
+    if (!fuel) {
+      generator.status = 'running';
+      continue;
+    }
+
+    // Refuel in order of preference up to the buffer size
+    generator.fuelBuffer = generator.fuelBuffer || {};
+    let space = fuel.bufferSize - getStoredFuel(generator);
+    for (const itemId of fuel.items) {
+      const pulled = Math.min(space, state.inventory[itemId] || 0);
+      if (pulled <= 0) continue;
+      state.inventory[itemId] -= pulled;
+      if (state.inventory[itemId] === 0) {
+        delete state.inventory[itemId];
+      }
+      generator.fuelBuffer[itemId] = (generator.fuelBuffer[itemId] || 0) + pulled;
+      space -= pulled;
+    }
+
+    if (getStoredFuel(generator) < fuel.perTick) {
+      if (generator.status !== 'starved') {
+        summary.starved.push(generator.id);
+      }
+      generator.status = 'starved';
+      continue;
+    }
+
+    let needed = fuel.perTick;
+    for (const itemId of fuel.items) {
+      const burned = Math.min(needed, generator.fuelBuffer[itemId] || 0);
+      if (burned <= 0) continue;
+      generator.fuelBuffer[itemId] -= burned;
+      if (generator.fuelBuffer[itemId] === 0) {
+        delete generator.fuelBuffer[itemId];
+      }
+      needed -= burned;
+    }
+    generator.status = 'running';
+  }
+}
+
+// ============================================================================
+// Energy Storage
+// Batteries release energy to cover deficits before machines are blocked and
+// bank whatever is left over at the end of the tick
+// ============================================================================
+
+function getBatteries(state, rules) {
+  const batteries = [];
+  for (const structure of state.structures) {
+    const config = getStructureType(rules, structure.type);
+    if (config && config.behavior === 'battery') {
+      batteries.push({ structure, config });
+    }
+  }
+  return batteries;
+}
+
+// Energy batteries could still release this tick
+function getBatteryReserve(state, rules) {
+  return getBatteries(state, rules).reduce((sum, { structure, config }) =>
+    sum + Math.max(0, Math.min(structure.charge, config.dischargeRate - structure.discharge)), 0);
+}
+
+function dischargeBatteries(state, rules, needed) {
+  for (const { structure, config } of getBatteries(state, rules)) {
+    if (needed <= 0) break;
+    const released = Math.max(0, Math.min(needed, structure.charge, config.dischargeRate - structure.discharge));
+    structure.charge -= released;
+    structure.discharge += released;
+    needed -= released;
+  }
+}
+
+function chargeBatteries(state, rules, surplus) {
+  for (const { structure, config } of getBatteries(state, rules)) {
+    if (surplus <= 0) break;
+    const banked = Math.min(surplus, config.chargeRate, config.energyCapacity - structure.charge);
+    structure.charge += banked;
+    surplus -= banked;
+  }
+}
+
+// ============================================================================
+// Brownouts
+// ============================================================================
+
+function getPriorityRank(machine, rules) {
+  const { priorities, defaultPriority } = rules.energy;
+  const rank = priorities.indexOf(machine.priority || defaultPriority);
+  return rank === -1 ? priorities.indexOf(defaultPriority) : rank;
+}
+
+// Machines in the order a brownout blocks them (recovery runs in reverse)
+function getBrownoutOrder(state, rules) {
+  const newestFirst = state.machines.slice().reverse();
+  if (rules.energy.brownoutPolicy !== 'lowest-priority-first') {
+    return newestFirst;
+  }
+  // Stable sort keeps newest-first among machines of equal priority
+  return newestFirst.sort((a, b) => getPriorityRank(a, rules) - getPriorityRank(b, rules));
+}
+
+// Share of their draw machines get under the proportional policy (1 = full power).
+// Running nodes are powered first, machines share what is left.
+function getPowerRatio(state, rules) {
+  if (rules.energy.brownoutPolicy !== 'proportional') {
+    return 1;
+  }
+  const machineDemand = state.machines
+    .filter(m => m.enabled && m.recipeId && m.status !== 'blocked')
+    .reduce((sum, m) => sum + getMachineEnergy(m, rules), 0);
+  const nodeDemand = state.extractionNodes.filter(isNodeRunning).length * getNodeEnergy(rules);
+  const available = Math.max(0, state.energy.produced - nodeDemand);
+  if (machineDemand <= available) {
+    return 1;
+  }
+  return available / machineDemand;
+}
+
+// ============================================================================
+// Extraction Nodes
+// ============================================================================
+
+function getNodeEnergy(rules) {
+  return rules.extraction ? rules.extraction.energyPerNode : 0;
+}
+
+function isNodeDepleted(node) {
+  // reserves is only tracked once depletion rules apply (null/undefined = untouched)
+  return node.reserves === 0;
+}
+
+function isNodeRunning(node) {
+  return node.active && !isNodeDepleted(node);
+}
+
+function getNodeCost(state, rules, resourceType) {
+  // Every node already extracting this resource raises the price
+  const resource = rules.extraction.resources[resourceType];
+  const owned = state.extractionNodes.filter(n => n.resourceType === resourceType).length;
+  return Math.floor(resource.cost * Math.pow(rules.extraction.costGrowth, owned));
+}
+
+function getNodeUpgradeCost(node, rules) {
+  const resource = rules.extraction.resources[node.resourceType];
+  if (!resource) {
+    return null;
+  }
+  return Math.floor(resource.cost * rules.extraction.upgradeCostMultiplier * (node.level || 1));
+}
+
+// ============================================================================
+// Research Costs
+// ============================================================================
+
+function getUnlockCost(recipe, rules) {
+  // A recipe's own unlockCost overrides the cost of its tier
+  const tierCosts = rules.research.unlockCosts || {};
+  const cost = recipe.unlockCost || tierCosts[recipe.tier] || {};
+  return {
+    credits: cost.credits || 0,
+    items: { ...(cost.items || {}) }
+  };
+}
+
+function getUnlockStatus(state, rules, recipeId) {
+  const recipe = rules.recipes.find(r => r.id === recipeId);
+  const cost = recipe ? getUnlockCost(recipe, rules) : { credits: 0, items: {} };
+
+  const missingPrerequisites = ((recipe && recipe.prerequisites) || [])
+    .filter(id => !state.unlockedRecipes.includes(id));
+
+  const missingCredits = Math.max(0, cost.credits - state.credits);
+
+  const missingItems = {};
+  for (const [itemId, quantity] of Object.entries(cost.items)) {
+    const available = state.inventory[itemId] || 0;
+    if (available < quantity) {
+      missingItems[itemId] = quantity - available;
+    }
+  }
+
+  return {
+    cost,
+    missingPrerequisites,
+    missingCredits,
+    missingItems,
+    canUnlock: missingPrerequisites.length === 0 &&
+      missingCredits === 0 &&
+      Object.keys(missingItems).length === 0
+  };
+}
+
+// ============================================================================
+// Research Targets
+// ============================================================================
+
+const RESEARCH_TARGET_TYPES = ['tier', 'material', 'recipe'];
+
+function matchesResearchTarget(recipe, target) {
+  switch (target.type) {
+    case 'tier':
+      return recipe.tier === target.value;
+    case 'material':
+      return Object.prototype.hasOwnProperty.call(recipe.outputs, target.value);
+    case 'recipe':
+      return recipe.id === target.value;
+    default:
+      return false;
+  }
+}
+
+function getTargetWeight(target, rules) {
+  const weights = rules.research.targetWeights || {};
+  return weights[target.type] || 1;
+}
+
+function hasResearchLeft(state, rules, target) {
+  return rules.recipes.some(r =>
+    !state.discoveredRecipes.includes(r.id) && matchesResearchTarget(r, target)
+  );
+}
+
+// Returns the head of the research queue, first dropping targets that have
+// nothing left to discover (mutates state.research.queue)
+function getActiveResearchTarget(state, rules) {
+  const queue = state.research.queue || [];
+  while (queue.length > 0 && !hasResearchLeft(state, rules, queue[0])) {
+    queue.shift();
+  }
+  return queue.length > 0 ? queue[0] : null;
+}
+
+// Same as getActiveResearchTarget without touching the queue (for previews)
+function peekResearchTarget(state, rules) {
+  const queue = state.research.queue || [];
+  return queue.find(target => hasResearchLeft(state, rules, target)) || null;
+}
+
+// ============================================================================
+// Research Points
+// ============================================================================
+
+function getResearchPointCost(recipe, rules) {
+  // A recipe's own researchPoints overrides the tier-scaled cost
+  if (typeof recipe.researchPoints === 'number') {
+    return recipe.researchPoints;
+  }
+  const { pointCostBase, pointCostGrowth } = rules.research;
+  return Math.round(pointCostBase * Math.pow(pointCostGrowth, recipe.tier - 1));
+}
+
+// The recipe points mode discovers next: the cheapest undiscovered recipe
+// matching the active target (or any, without a target), ties in rules order
+function getNextResearchCandidate(state, rules) {
+  const target = peekResearchTarget(state, rules);
+  const candidates = rules.recipes.filter(r =>
+    !state.discoveredRecipes.includes(r.id) &&
+    (!target || matchesResearchTarget(r, target))
+  );
+
+  let best = null;
+  for (const recipe of candidates) {
+    if (!best || getResearchPointCost(recipe, rules) < getResearchPointCost(best, rules)) {
+      best = recipe;
     }
   }
+  return best;
+}
 
-  return { produced, consumed };
+function runPointsResearch(state, rules, spareEnergy, summary) {
+  const startingPoints = state.research.points || 0;
+  let points = startingPoints + spareEnergy * rules.research.pointsPerEnergy;
+
+  // Science items: consume one of each available per tick for bonus points
+  for (const [itemId, value] of Object.entries(rules.research.scienceItems || {})) {
+    if ((state.inventory[itemId] || 0) > 0) {
+      state.inventory[itemId] -= 1;
+      if (state.inventory[itemId] === 0) {
+        delete state.inventory[itemId];
+      }
+      points += value;
+      summary.consumed[itemId] = (summary.consumed[itemId] || 0) + 1;
+    }
+  }
+  summary.research.pointsEarned = points - startingPoints;
+
+  // Discover as many recipes as the points cover, in candidate order
+  let candidate = getNextResearchCandidate(state, rules);
+  while (candidate && points >= getResearchPointCost(candidate, rules)) {
+    points -= getResearchPointCost(candidate, rules);
+    state.discoveredRecipes.push(candidate.id);
+    summary.discovered.push(candidate.id);
+    getActiveResearchTarget(state, rules); // Drop the target if it is now exhausted
+    candidate = getNextResearchCandidate(state, rules);
+  }
+
+  // Nothing left to research: don't bank points forever
+  state.research.points = candidate ? points : 0;
+}
+
+// ============================================================================
+// Market
+// ============================================================================
+
+function getMarketCategory(itemId, rules) {
+  const material = rules.materials.find(m => m.id === itemId);
+  const categories = rules.market.categories || {};
+  return (material && categories[material.category]) || { elasticity: 1, recovery: 1 };
+}
+
+function getShockMultiplier(state, itemId, rules) {
+  const material = rules.materials.find(m => m.id === itemId);
+  const shocks = (state.market && state.market.shocks) || [];
+  const shock = material && shocks.find(s => s.category === material.category);
+  return shock ? shock.multiplier : 1;
+}
+
+// Prices a sale without performing it: every unit sells at the current
+// popularity, which then drops along the category's demand curve
+function previewSale(state, rules, itemId, quantity) {
+  const material = rules.materials.find(m => m.id === itemId);
+  if (!material || !(quantity > 0)) {
+    return { total: 0, averagePrice: 0, popularityAfter: 1.0, noveltyUnits: 0, shockMultiplier: 1 };
+  }
+
+  const { elasticity } = getMarketCategory(itemId, rules);
+  const shockMultiplier = getShockMultiplier(state, itemId, rules);
+  const soldBefore = ((state.market && state.market.soldItems) || []).includes(itemId);
+  const noveltyUnits = soldBefore ? 0 : Math.min(quantity, rules.market.noveltyQuantity);
+
+  // Untracked items sit at neutral popularity
+  let popularity = state.marketPopularity[itemId] || 1.0;
+  let total = 0;
+
+  for (let i = 0; i < quantity; i++) {
+    const novelty = i < noveltyUnits ? rules.market.noveltyBonus : 1;
+    total += material.basePrice * popularity * novelty * shockMultiplier;
+    popularity = Math.max(
+      rules.market.minPopularity,
+      popularity - rules.market.decayRate * elasticity
+    );
+  }
+
+  return {
+    total: Math.floor(total),
+    averagePrice: total / quantity,
+    popularityAfter: popularity,
+    noveltyUnits,
+    shockMultiplier
+  };
+}
+
+function canBuyItem(itemId, rules) {
+  const material = rules.materials.find(m => m.id === itemId);
+  return Boolean(material && rules.market.buy && rules.market.buy.categories.includes(material.category));
+}
+
+// Prices a purchase without performing it: buying raises the item's buy
+// pressure (scarcity) unit by unit, so bulk buys get more expensive. A unit
+// never costs less than it would sell for right now (popularity and novelty
+// included), so buying to resell cannot make credits.
+function previewPurchase(state, rules, itemId, quantity) {
+  const material = rules.materials.find(m => m.id === itemId);
+  if (!material || !(quantity > 0)) {
+    return { total: 0, averagePrice: 0, pressureAfter: 1.0 };
+  }
+
+  const { spread, pressureRate, maxPressure } = rules.market.buy;
+  const shockMultiplier = getShockMultiplier(state, itemId, rules);
+  const soldBefore = ((state.market && state.market.soldItems) || []).includes(itemId);
+  const noveltyUnits = soldBefore ? 0 : Math.min(quantity, rules.market.noveltyQuantity);
+  const popularity = state.marketPopularity[itemId] || 1.0;
+  let pressure = (state.market.buyPressure && state.market.buyPressure[itemId]) || 1.0;
+  let total = 0;
+
+  for (let i = 0; i < quantity; i++) {
+    const novelty = i < noveltyUnits ? rules.market.noveltyBonus : 1;
+    const salePrice = material.basePrice * popularity * novelty * shockMultiplier;
+    total += Math.max(material.basePrice * (1 + spread) * pressure * shockMultiplier, salePrice);
+    pressure = Math.min(maxPressure, pressure + pressureRate);
+  }
+
+  return {
+    total: Math.ceil(total),
+    averagePrice: total / quantity,
+    pressureAfter: pressure
+  };
+}
+
+function updateMarket(state, rules, rng) {
+  const salesThisTick = state.market.salesThisTick;
+
+  // Recovery along each category's curve, skipping items sold this tick
+  for (const itemId of Object.keys(state.marketPopularity)) {
+    if (!salesThisTick[itemId]) {
+      const { recovery } = getMarketCategory(itemId, rules);
+      state.marketPopularity[itemId] = Math.min(
+        rules.market.maxPopularity,
+        state.marketPopularity[itemId] + rules.market.recoveryRate * recovery
+      );
+    }
+  }
+  state.market.salesThisTick = {};
+
+  // Buy pressure eases back toward normal prices
+  if (rules.market.buy) {
+    for (const itemId of Object.keys(state.market.buyPressure)) {
+      const pressure = state.market.buyPressure[itemId] - rules.market.buy.pressureRecovery;
+      if (pressure <= 1.0) {
+        delete state.market.buyPressure[itemId];
+      } else {
+        state.market.buyPressure[itemId] = pressure;
+      }
+    }
+  }
+
+  // Running shocks wear off
+  for (const shock of state.market.shocks) {
+    shock.remaining -= 1;
+  }
+  state.market.shocks = state.market.shocks.filter(shock => shock.remaining > 0);
+
+  // Random demand shocks hit a whole category (one shock per category)
+  const shockRules = rules.market.shocks;
+  const categories = Object.keys(rules.market.categories || {});
+  if (shockRules && categories.length > 0 && rng.next() < shockRules.chance) {
+    const category = categories[Math.floor(rng.next() * categories.length)];
+    const { minMultiplier, maxMultiplier, minDuration, maxDuration } = shockRules;
+    const multiplier = Math.round((minMultiplier + rng.next() * (maxMultiplier - minMultiplier)) * 100) / 100;
+    const duration = minDuration + Math.floor(rng.next() * (maxDuration - minDuration + 1));
+
+    state.market.shocks = state.market.shocks.filter(shock => shock.category !== category);
+    state.market.shocks.push({ category, multiplier, remaining: duration });
+  }
+}
+
+// ============================================================================
+// Contracts
+// ============================================================================
+
+function getContractPayout(contract, state, rules) {
+  // Reputation scales the reward at payout time (negative reputation cuts it)
+  const multiplier = 1 + state.contracts.reputation * rules.contracts.reputationBonus;
+  return Math.max(0, Math.floor(contract.reward * multiplier));
+}
+
+function changeReputation(state, rules, amount) {
+  const { minReputation, maxReputation } = rules.contracts;
+  state.contracts.reputation = Math.max(
+    minReputation,
+    Math.min(maxReputation, state.contracts.reputation + amount)
+  );
+}
+
+function generateContract(state, rules, rng) {
+  const config = rules.contracts;
+
+  // Only offer items the player can currently make
+  const producible = new Set();
+  for (const recipe of rules.recipes) {
+    if (state.discoveredRecipes.includes(recipe.id)) {
+      Object.keys(recipe.outputs).forEach(itemId => producible.add(itemId));
+    }
+  }
+  const pool = rules.materials.filter(m =>
+    config.categories.includes(m.category) && producible.has(m.id)
+  );
+
+  if (pool.length === 0) {
+    return null;
+  }
+
+  const material = pool[Math.floor(rng.next() * pool.length)];
+  const quantity = config.minQuantity + Math.floor(rng.next() * (config.maxQuantity - config.minQuantity + 1));
+  const duration = config.minDuration + Math.floor(rng.next() * (config.maxDuration - config.minDuration + 1));
+  const reward = Math.floor(material.basePrice * quantity * config.rewardMultiplier);
+
+  return {
+    id: generateId(state, 'contract'),
+    itemId: material.id,
+    quantity,
+    delivered: 0,
+    reward,
+    penalty: Math.floor(reward * config.penaltyRate),
+    duration,
+    offerExpiresAt: state.tick + config.offerDuration,
+    deadline: null
+  };
+}
+
+function updateContracts(state, rules, rng, summary) {
+  if (!rules.contracts) {
+    return;
+  }
+
+  const tick = state.tick + 1; // The tick being completed
+
+  // Unaccepted offers eventually go away
+  state.contracts.available = state.contracts.available.filter(c => c.offerExpiresAt >= tick);
+
+  // Overdue contracts fail: pay the penalty (as far as credits allow) and lose reputation
+  const stillActive = [];
+  for (const contract of state.contracts.active) {
+    if (tick > contract.deadline) {
+      const penalty = Math.min(state.credits, contract.penalty);
+      state.credits -= penalty;
+      summary.credits.spent += penalty;
+      changeReputation(state, rules, -rules.contracts.reputationLoss);
+      state.contracts.failed += 1;
+      summary.failedContracts.push(contract.id);
+    } else {
+      stillActive.push(contract);
+    }
+  }
+  state.contracts.active = stillActive;
+
+  // New offers
+  if (rng.next() < rules.contracts.generationChance &&
+      state.contracts.available.length < rules.contracts.maxAvailable) {
+    const contract = generateContract(state, rules, rng);
+    if (contract) {
+      state.contracts.available.push(contract);
+      summary.offeredContracts.push(contract.id);
+    }
+  }
+}
+
+// ============================================================================
+// Logistics (optional item routing between neighbouring structures)
+// ============================================================================
+
+const DIRECTIONS = {
+  up: { dx: 0, dy: -1 },
+  right: { dx: 1, dy: 0 },
+  down: { dx: 0, dy: 1 },
+  left: { dx: -1, dy: 0 }
+};
+
+// Clockwise order, used to turn a direction
+const DIRECTION_ORDER = ['up', 'right', 'down', 'left'];
+
+function turnDirection(direction, quarterTurns) {
+  const index = DIRECTION_ORDER.indexOf(direction);
+  return DIRECTION_ORDER[(index + quarterTurns + 4) % 4];
+}
+
+function isLogisticsEnabled(rules) {
+  return Boolean(rules.logistics && rules.logistics.enabled);
+}
+
+function getPlacementAt(state, x, y) {
+  return state.floorSpace.placements.find(p =>
+    x >= p.x && x < p.x + p.size && y >= p.y && y < p.y + p.size
+  );
+}
+
+function getPlacementById(state, id) {
+  return state.floorSpace.placements.find(p => p.id === id);
+}
+
+// Cells just outside a square structure's edge on the given side
+function getSideCells(x, y, size, direction) {
+  const { dx, dy } = DIRECTIONS[direction];
+  const cells = [];
+  for (let i = 0; i < size; i++) {
+    if (dx !== 0) {
+      cells.push({ x: dx > 0 ? x + size : x - 1, y: y + i });
+    } else {
+      cells.push({ x: x + i, y: dy > 0 ? y + size : y - 1 });
+    }
+  }
+  return cells;
+}
+
+function getStoredTotal(items) {
+  return Object.values(items).reduce((sum, qty) => sum + qty, 0);
+}
+
+function removeItems(items, itemId, quantity) {
+  items[itemId] -= quantity;
+  if (items[itemId] === 0) {
+    delete items[itemId];
+  }
+}
+
+// ============================================================================
+// Structure Registry
+// Placeable structure types are defined in rules.structures.types; each names
+// a behavior from this registry. New content only needs a rules entry, new
+// kinds of behavior are added with registerStructureBehavior.
+//
+// A behavior provides:
+//   getOutputSides(structure)  sides items leave through (never accepted from)
+//   tick(context)              moves items during the logistics phase, where
+//                              context = { state, rules, structure, config, placement, staged }
+// or sets logistics: false for structures that never handle items (they can
+// be placed without logistics mode). Optionally:
+//   initialize(structure, config)  adds behavior-specific state when placed
+// ============================================================================
+
+const STRUCTURE_BEHAVIORS = {
+  // Moves items toward the cell it faces; unloads into inventory when it faces nothing
+  conveyor: {
+    getOutputSides: (structure) => [structure.direction],
+    tick({ state, rules, structure, config, placement, staged }) {
+      const target = getOutputTarget(state, rules, placement, structure.direction);
+      if (target) {
+        transferItems(state, rules, structure.items, target, staged, config.throughput);
+      } else {
+        moveToInventory(state, rules, structure.items, config.throughput);
+      }
+    }
+  },
+
+  // Buffers items and feeds the structure it faces; holds them when it faces nothing
+  storage: {
+    getOutputSides: (structure) => [structure.direction],
+    tick({ state, rules, structure, config, placement, staged }) {
+      const target = getOutputTarget(state, rules, placement, structure.direction);
+      if (target) {
+        transferItems(state, rules, structure.items, target, staged, config.throughput);
+      }
+    }
+  },
+
+  // Alternates items between its left- and right-hand sides (relative to its direction)
+  splitter: {
+    getOutputSides: (structure) => [turnDirection(structure.direction, -1), turnDirection(structure.direction, 1)],
+    tick({ state, rules, structure, config, placement, staged }) {
+      const sides = STRUCTURE_BEHAVIORS.splitter.getOutputSides(structure);
+      const targets = sides.map(side => getOutputTarget(state, rules, placement, side));
+      let moved = 0;
+      let misses = 0;
+      // One item at a time, skipping a side that cannot take it
+      while (moved < config.throughput && misses < targets.length && getStoredTotal(structure.items) > 0) {
+        const next = structure.nextOutput || 0;
+        const target = targets[next];
+        structure.nextOutput = (next + 1) % targets.length;
+        if (target && transferItems(state, rules, structure.items, target, staged, 1) > 0) {
+          moved += 1;
+          misses = 0;
+        } else {
+          misses += 1;
+        }
+      }
+    }
+  },
+
+  // Banks surplus energy and releases it during deficits (see Energy Storage)
+  battery: {
+    logistics: false,
+    initialize(structure) {
+      structure.charge = 0;     // Energy stored
+      structure.discharge = 0;  // Energy released this tick
+    }
+  }
+};
+
+function registerStructureBehavior(name, behavior) {
+  STRUCTURE_BEHAVIORS[name] = behavior;
+}
+
+function getStructureBehaviorNames() {
+  return Object.keys(STRUCTURE_BEHAVIORS);
+}
+
+function getStructureBehavior(name) {
+  return STRUCTURE_BEHAVIORS[name];
+}
+
+function getStructureType(rules, typeId) {
+  return rules.structures ? rules.structures.types.find(t => t.id === typeId) : undefined;
+}
+
+function getLogisticsNode(state, rules, placement) {
+  if (placement.type === 'machine') {
+    const machine = state.machines.find(m => m.id === placement.id);
+    return machine ? { type: 'machine', structure: machine, placement, outputSides: [machine.outputDirection] } : null;
+  }
+
+  const structure = state.structures.find(s => s.id === placement.id);
+  const config = structure && getStructureType(rules, structure.type);
+  const behavior = config && STRUCTURE_BEHAVIORS[config.behavior];
+  if (!behavior || behavior.logistics === false) {
+    return null;
+  }
+  return { type: 'structure', structure, config, placement, outputSides: behavior.getOutputSides(structure) };
+}
+
+// The machine or structure on one side of a placement that accepts items from
+// it (structures never accept items through one of their own output sides)
+function getOutputTarget(state, rules, placement, direction) {
+  for (const cell of getSideCells(placement.x, placement.y, placement.size, direction)) {
+    const targetPlacement = getPlacementAt(state, cell.x, cell.y);
+    const target = targetPlacement && getLogisticsNode(state, rules, targetPlacement);
+    if (!target) continue;
+
+    const facesSource = target.outputSides.some(side =>
+      getSideCells(targetPlacement.x, targetPlacement.y, targetPlacement.size, side)
+        .some(c => getPlacementAt(state, c.x, c.y) === placement)
+    );
+    if (!facesSource) {
+      return target;
+    }
+  }
+  return null;
+}
+
+function getAcceptableAmount(state, rules, target, itemId, staged) {
+  if (target.type === 'structure') {
+    const incoming = getStoredTotal(staged[target.structure.id] || {});
+    return Math.max(0, target.config.capacity - getStoredTotal(target.structure.items) - incoming);
+  }
+
+  // Machines take their recipe's inputs, up to a few crafts' worth
+  const machine = target.structure;
+  const recipe = machine.recipeId && rules.recipes.find(r => r.id === machine.recipeId);
+  if (!machine.enabled || !recipe || !recipe.inputs[itemId]) {
+    return 0;
+  }
+  const limit = recipe.inputs[itemId] * rules.logistics.machineBufferMultiplier;
+  return Math.max(0, limit - (machine.internalBuffer[itemId] || 0));
+}
+
+// Hand items downstream, returns how many moved
+function transferItems(state, rules, items, target, staged, limit) {
+  let moved = 0;
+  for (const itemId of Object.keys(items)) {
+    const quantity = Math.min(items[itemId], limit - moved, getAcceptableAmount(state, rules, target, itemId, staged));
+    if (quantity <= 0) continue;
+
+    if (target.type === 'machine') {
+      target.structure.internalBuffer[itemId] = (target.structure.internalBuffer[itemId] || 0) + quantity;
+    } else {
+      const incoming = staged[target.structure.id] = staged[target.structure.id] || {};
+      incoming[itemId] = (incoming[itemId] || 0) + quantity;
+    }
+    removeItems(items, itemId, quantity);
+    moved += quantity;
+  }
+  return moved;
+}
+
+// Terminal outputs go to the global inventory (respecting per-item limits)
+function moveToInventory(state, rules, items, limit) {
+  let moved = 0;
+  for (const itemId of Object.keys(items)) {
+    const currentAmount = state.inventory[itemId] || 0;
+    const spaceLeft = getMaxStack(itemId, state.inventorySpace, rules) - currentAmount;
+    const quantity = Math.min(items[itemId], limit - moved, spaceLeft);
+    if (quantity <= 0) continue;
+
+    state.inventory[itemId] = currentAmount + quantity;
+    removeItems(items, itemId, quantity);
+    moved += quantity;
+  }
+  return moved;
+}
+
+function runLogistics(state, rules) {
+  // Items entering a structure this tick only move on the next one
+  const staged = {};
+
+  // Machines hand finished outputs downstream (or to inventory if the
+  // structure they fed has been removed)
+  for (const machine of state.machines) {
+    if (!machine.outputBuffer || Object.keys(machine.outputBuffer).length === 0) continue;
+
+    const placement = getPlacementById(state, machine.id);
+    const target = placement && getOutputTarget(state, rules, placement, machine.outputDirection);
+    if (target) {
+      transferItems(state, rules, machine.outputBuffer, target, staged, Infinity);
+    } else {
+      moveToInventory(state, rules, machine.outputBuffer, Infinity);
+    }
+  }
+
+  // Structures run their behavior
+  for (const structure of state.structures) {
+    const config = getStructureType(rules, structure.type);
+    const behavior = config && STRUCTURE_BEHAVIORS[config.behavior];
+    const placement = getPlacementById(state, structure.id);
+    if (behavior && behavior.tick && placement) {
+      behavior.tick({ state, rules, structure, config, placement, staged });
+    }
+  }
+
+  for (const [structureId, items] of Object.entries(staged)) {
+    const structure = state.structures.find(s => s.id === structureId);
+    for (const [itemId, quantity] of Object.entries(items)) {
+      structure.items[itemId] = (structure.items[itemId] || 0) + quantity;
+    }
+  }
 }
 
 // ============================================================================
 // Simulation Logic
 // ============================================================================
 
-function simulateTick(state, rules) {
-  const newState = deepClone(state);
-  const rng = createRNG(state.rngSeed);
+// Pull missing recipe inputs from inventory into the machine's buffer;
+// returns whether the buffer now holds a full set of inputs
+function pullInputs(state, machine, recipe) {
+  let bufferComplete = true;
+  for (const [itemId, needed] of Object.entries(recipe.inputs)) {
+    const inBuffer = machine.internalBuffer[itemId] || 0;
+    const stillNeeded = needed - inBuffer;
+
+    if (stillNeeded > 0) {
+      const available = state.inventory[itemId] || 0;
+      const toPull = Math.min(stillNeeded, available);
+
+      if (toPull > 0) {
+        machine.internalBuffer[itemId] = inBuffer + toPull;
+        state.inventory[itemId] -= toPull;
+      }
 
-  // Track items sold this tick for market recovery
-  const soldThisTick = new Set();
+      if ((machine.internalBuffer[itemId] || 0) < needed) {
+        bufferComplete = false;
+      }
+    }
+  }
+  return bufferComplete;
+}
 
-  // 1. Energy Calculation
-  const energy = calculateEnergy(newState, rules);
-  newState.energy = energy;
+// Per-machine entry of the tick report. waitingFor names what held a working
+// machine back: 'inputs' (starving), 'output' (no room for its outputs)
+function createMachineReport(machine) {
+  return {
+    status: machine.status,
+    crafts: 0,
+    progressed: false,
+    waitingFor: null,
+    consumed: {},
+    produced: {},
+    energy: 0
+  };
+}
+
+// Advances a working state by one tick IN PLACE and returns a report of the
+// tick. Callers own the copy: simulateTick clones per tick, simulateTicks once
+// per batch, so both paths run exactly the same logic.
+function advanceTick(state, rules) {
+  const rng = createRNG(state.rngSeed);
+  const summary = {
+    tick: state.tick + 1,
+    extracted: {},
+    wasted: {},         // Extraction lost to full stacks
+    produced: {},
+    consumed: {},       // Recipe inputs and science items used up
+    machines: {},       // machineId -> createMachineReport
+    discovered: [],
+    blocked: [],
+    recovered: [],
+    starved: [],
+    failedContracts: [],
+    offeredContracts: [],
+    research: null,
+    credits: { earned: 0, spent: 0 },
+    energy: null
+  };
 
-  // If not enough energy, block machines (starting from last added)
-  if (energy.consumed > energy.produced) {
-    let deficit = energy.consumed - energy.produced;
-    for (let i = newState.machines.length - 1; i >= 0 && deficit > 0; i--) {
-      const machine = newState.machines[i];
+  // 1. Energy Calculation (fueled generators burn fuel first)
+  burnFuel(state, rules, summary);
+  for (const { structure } of getBatteries(state, rules)) {
+    structure.discharge = 0;
+  }
+  const energy = calculateEnergy(state, rules);
+  state.energy = energy;
+
+  // If not enough energy even with what batteries can release, block machines
+  // in the order of the brownout policy (proportional slows every machine
+  // down instead of blocking any)
+  const brownoutOrder = getBrownoutOrder(state, rules);
+  const reserve = getBatteryReserve(state, rules);
+  if (energy.consumed > energy.produced + reserve && rules.energy.brownoutPolicy !== 'proportional') {
+    let deficit = energy.consumed - energy.produced - reserve;
+    for (const machine of brownoutOrder) {
+      if (deficit <= 0) break;
       // Only block enabled machines that are not already blocked
       if (machine.enabled && machine.recipeId && machine.status !== 'blocked') {
         machine.status = 'blocked';
-        deficit -= machine.energyConsumption;
+        deficit -= getMachineEnergy(machine, rules);
+        summary.blocked.push(machine.id);
       }
     }
     // Recalculate energy after blocking
-    newState.energy = calculateEnergy(newState, rules);
+    state.energy = calculateEnergy(state, rules);
+  } else if (rules.energy.autoRecover) {
+    // Spare energy restarts blocked machines, the last to be blocked first
+    let spare = energy.produced - energy.consumed;
+    for (const machine of brownoutOrder.reverse()) {
+      if (machine.status !== 'blocked') continue;
+      const draw = machine.enabled && machine.recipeId ? getMachineEnergy(machine, rules) : 0;
+      if (draw > spare) continue;
+      machine.status = machine.recipeId ? 'working' : 'idle';
+      spare -= draw;
+      summary.recovered.push(machine.id);
+    }
+    state.energy = calculateEnergy(state, rules);
+  }
+
+  // Batteries cover the remaining deficit
+  if (state.energy.consumed > state.energy.produced) {
+    dischargeBatteries(state, rules, state.energy.consumed - state.energy.produced);
+    state.energy = calculateEnergy(state, rules);
   }
+  const powerRatio = getPowerRatio(state, rules);
 
   // 2. Extraction Phase (respecting per-item limit)
-  for (const node of newState.extractionNodes) {
-    if (node.active) {
-      const resourceId = node.resourceType;
-      const currentAmount = newState.inventory[resourceId] || 0;
-      const maxStack = getMaxStack(resourceId, newState.inventorySpace, rules);
-      const spaceLeft = maxStack - currentAmount;
-      const toAdd = Math.min(node.rate, spaceLeft);
-      if (toAdd > 0) {
-        newState.inventory[resourceId] = currentAmount + toAdd;
+  // Nodes that draw energy are powered in order from what machines leave over
+  // (slowed machines only use what nodes leave them)
+  const nodeEnergy = getNodeEnergy(rules);
+  const nodeDemand = state.extractionNodes.filter(isNodeRunning).length * nodeEnergy;
+  const machineDraw = powerRatio < 1
+    ? Math.max(0, state.energy.produced - nodeDemand)
+    : state.energy.consumed - nodeDemand;
+  let nodeEnergyLeft = state.energy.produced - machineDraw;
+  const depletion = rules.extraction && rules.extraction.depletion;
+  for (const node of state.extractionNodes) {
+    if (!isNodeRunning(node)) {
+      continue;
+    }
+    if (nodeEnergy > 0) {
+      if (nodeEnergyLeft < nodeEnergy) {
+        continue;
+      }
+      nodeEnergyLeft -= nodeEnergy;
+    }
+
+    // Reserves are assigned the first time a node extracts under depletion rules
+    if (depletion && depletion.enabled && typeof node.reserves !== 'number') {
+      node.reserves = depletion.reserves;
+    }
+
+    const resourceId = node.resourceType;
+    const currentAmount = state.inventory[resourceId] || 0;
+    const maxStack = getMaxStack(resourceId, state.inventorySpace, rules);
+    const spaceLeft = maxStack - currentAmount;
+    const available = typeof node.reserves === 'number' ? Math.min(node.rate, node.reserves) : node.rate;
+    const toAdd = Math.min(available, spaceLeft);
+    if (toAdd > 0) {
+      state.inventory[resourceId] = currentAmount + toAdd;
+      summary.extracted[resourceId] = (summary.extracted[resourceId] || 0) + toAdd;
+      if (typeof node.reserves === 'number') {
+        node.reserves -= toAdd;
       }
-      // Excess is wasted (not added)
+    }
+    // Excess is wasted (not added)
+    if (available > toAdd) {
+      summary.wasted[resourceId] = (summary.wasted[resourceId] || 0) + available - Math.max(toAdd, 0);
     }
   }
 
   // 3. Machine Processing
-  for (const machine of newState.machines) {
+  for (const machine of state.machines) {
+    const report = createMachineReport(machine);
+    summary.machines[machine.id] = report;
     if (!machine.enabled || !machine.recipeId || machine.status === 'blocked') {
       continue;
     }
@@ -218,96 +1250,156 @@ function simulateTick(state, rules) {
     }
 
     // Check if recipe is unlocked
-    if (!newState.unlockedRecipes.includes(recipe.id)) {
+    if (!state.unlockedRecipes.includes(recipe.id)) {
+      machine.status = 'idle';
+      continue;
+    }
+
+    // Machine types only run recipes of their categories
+    const machineType = getMachineType(machine, rules);
+    if (!machineType || !machineType.categories.includes(recipe.category)) {
       machine.status = 'idle';
       continue;
     }
 
     machine.status = 'working';
+    report.energy = getMachineEnergy(machine, rules) * powerRatio;
 
     // Pull Phase: Try to pull needed ingredients from inventory
-    let canProgress = true;
-    for (const [itemId, needed] of Object.entries(recipe.inputs)) {
-      const inBuffer = machine.internalBuffer[itemId] || 0;
-      const stillNeeded = needed - inBuffer;
-
-      if (stillNeeded > 0) {
-        const available = newState.inventory[itemId] || 0;
-        const toPull = Math.min(stillNeeded, available);
-
-        if (toPull > 0) {
-          machine.internalBuffer[itemId] = inBuffer + toPull;
-          newState.inventory[itemId] -= toPull;
-        }
+    // Buffer Check: Progress only advances once buffer matches recipe inputs
+    if (!pullInputs(state, machine, recipe)) {
+      report.waitingFor = 'inputs';
+      continue;
+    }
 
-        if (machine.internalBuffer[itemId] < needed) {
-          canProgress = false;
+    // Progress Phase: A full buffer advances the craft by the machine's
+    // speed; outputs are only emitted once progress reaches the recipe's
+    // duration. Fast machines can finish several crafts in one tick.
+    const duration = recipe.ticksToComplete || 1;
+    machine.progress = (machine.progress || 0) + getMachineSpeed(machine, rules) * powerRatio;
+    report.progressed = true;
+
+    // Yield upgrades add a percentage per craft; every full 100% the craft
+    // emits its outputs twice
+    const yieldUpgrade = rules.machines.upgrades.yield;
+    const yieldBonus = yieldUpgrade ? yieldUpgrade.bonus * getUpgradeLevel(machine, 'yield') : 0;
+
+    while (machine.progress >= duration) {
+      // In logistics mode a machine with something connected downstream puts
+      // its outputs in its output buffer; terminal machines feed the inventory
+      const placement = isLogisticsEnabled(rules) && getPlacementById(state, machine.id);
+      const routed = Boolean(placement && getOutputTarget(state, rules, placement, machine.outputDirection));
+      const yieldProgress = (machine.yieldProgress || 0) + yieldBonus;
+      const batches = yieldProgress >= 100 ? 2 : 1;
+
+      // First check if there's space for ALL outputs before consuming inputs
+      let canProduce = true;
+      if (routed) {
+        // Wait until the previous batch has been handed off
+        canProduce = Object.keys(machine.outputBuffer).length === 0;
+      } else {
+        for (const [itemId, quantity] of Object.entries(recipe.outputs)) {
+          const currentAmount = state.inventory[itemId] || 0;
+          const maxStack = getMaxStack(itemId, state.inventorySpace, rules);
+          const spaceLeft = maxStack - currentAmount;
+          if (spaceLeft < quantity * batches) {
+            canProduce = false;
+            break;
+          }
         }
       }
-    }
 
-    // Completion Check: If buffer matches recipe inputs, produce output
-    let bufferComplete = true;
-    for (const [itemId, needed] of Object.entries(recipe.inputs)) {
-      if ((machine.internalBuffer[itemId] || 0) < needed) {
-        bufferComplete = false;
+      if (!canProduce) {
+        // Buffer and one finished craft stay intact - machine waits for space
+        machine.progress = duration;
+        report.waitingFor = 'output';
         break;
       }
-    }
 
-    if (bufferComplete) {
-      // First check if there's space for ALL outputs before consuming inputs
-      let canProduce = true;
-      for (const [itemId, quantity] of Object.entries(recipe.outputs)) {
-        const currentAmount = newState.inventory[itemId] || 0;
-        const maxStack = getMaxStack(itemId, newState.inventorySpace, rules);
-        const spaceLeft = maxStack - currentAmount;
-        if (spaceLeft < quantity) {
-          canProduce = false;
-          break;
+      // Consume buffer
+      for (const [itemId, needed] of Object.entries(recipe.inputs)) {
+        report.consumed[itemId] = (report.consumed[itemId] || 0) + needed;
+        summary.consumed[itemId] = (summary.consumed[itemId] || 0) + needed;
+        machine.internalBuffer[itemId] -= needed;
+        if (machine.internalBuffer[itemId] === 0) {
+          delete machine.internalBuffer[itemId];
         }
       }
 
-      if (canProduce) {
-        // Consume buffer
-        for (const [itemId, needed] of Object.entries(recipe.inputs)) {
-          machine.internalBuffer[itemId] -= needed;
-          if (machine.internalBuffer[itemId] === 0) {
-            delete machine.internalBuffer[itemId];
-          }
-        }
+      // Add outputs to inventory (or the output buffer when routed)
+      const destination = routed ? machine.outputBuffer : state.inventory;
+      for (const [itemId, quantity] of Object.entries(recipe.outputs)) {
+        destination[itemId] = (destination[itemId] || 0) + quantity * batches;
+        report.produced[itemId] = (report.produced[itemId] || 0) + quantity * batches;
+        summary.produced[itemId] = (summary.produced[itemId] || 0) + quantity * batches;
+      }
+      report.crafts += 1;
 
-        // Add outputs to inventory
-        for (const [itemId, quantity] of Object.entries(recipe.outputs)) {
-          const currentAmount = newState.inventory[itemId] || 0;
-          newState.inventory[itemId] = currentAmount + quantity;
-        }
+      machine.progress -= duration;
+      machine.yieldProgress = yieldProgress % 100;
+
+      // Another craft needs a refilled buffer; whole crafts of leftover
+      // progress are lost when the inputs run out
+      if (machine.progress >= duration && !pullInputs(state, machine, recipe)) {
+        machine.progress %= duration;
+        report.waitingFor = 'inputs';
       }
-      // If can't produce, buffer stays intact - machine waits for space
     }
   }
+  for (const machine of state.machines) {
+    summary.machines[machine.id].status = machine.status;
+  }
+
+  // 4. Logistics Phase (routed outputs and structure behaviors)
+  if (isLogisticsEnabled(rules)) {
+    runLogistics(state, rules);
+  }
 
-  // 4. Research Phase
+  // 5. Research Phase
   // Research runs if active AND there's enough spare energy after machines
-  const spareEnergy = newState.energy.produced - newState.energy.consumed;
-  if (newState.research.active && spareEnergy >= rules.research.energyCost) {
+  const spareEnergy = state.energy.produced - state.energy.consumed;
+  let researchEnergy = 0;
+  summary.research = {
+    mode: rules.research.mode,
+    ran: false,
+    energy: 0,
+    roll: null,         // Chance mode: the discovery roll and the chance it had to beat
+    chance: null,
+    pointsEarned: 0     // Points mode
+  };
+  if (state.research.active && spareEnergy >= rules.research.energyCost && rules.research.mode === 'points') {
+    // Points mode: deterministic, no RNG draws; uses all spare energy
+    runPointsResearch(state, rules, spareEnergy, summary);
+    researchEnergy = spareEnergy;
+    summary.research.ran = true;
+  } else if (state.research.active && spareEnergy >= rules.research.energyCost) {
+    researchEnergy = rules.research.energyCost;
     const roll = rng.next();
 
-    // Calculate discovery chance with proximity bonus
-    let discoveryChance = rules.research.discoveryChance;
+    // Base chance plus progress accumulated by earlier failed rolls
+    const progress = state.research.progress || 0;
+    const discoveryChance = Math.min(1, rules.research.discoveryChance + progress);
+    summary.research.ran = true;
+    summary.research.roll = roll;
+    summary.research.chance = discoveryChance;
 
     // Find undiscovered recipes
-    const undiscovered = rules.recipes.filter(r => !newState.discoveredRecipes.includes(r.id));
+    const undiscovered = rules.recipes.filter(r => !state.discoveredRecipes.includes(r.id));
+    const target = getActiveResearchTarget(state, rules);
 
     if (undiscovered.length > 0 && roll < discoveryChance) {
       // Weight recipes by proximity (do we have their input materials?)
+      // and by whether they match the player's research target
       const weighted = undiscovered.map(recipe => {
         let weight = 1;
         for (const itemId of Object.keys(recipe.inputs)) {
-          if ((newState.inventory[itemId] || 0) > 0) {
+          if ((state.inventory[itemId] || 0) > 0) {
             weight += rules.research.proximityWeight;
           }
         }
+        if (target && matchesResearchTarget(recipe, target)) {
+          weight *= getTargetWeight(target, rules);
+        }
         return { recipe, weight };
       });
 
@@ -318,28 +1410,59 @@ function simulateTick(state, rules) {
       for (const { recipe, weight } of weighted) {
         selection -= weight;
         if (selection <= 0) {
-          newState.discoveredRecipes.push(recipe.id);
+          state.discoveredRecipes.push(recipe.id);
+          summary.discovered.push(recipe.id);
           break;
         }
       }
+
+      state.research.progress = 0;
+      getActiveResearchTarget(state, rules); // Drop the target if it is now exhausted
+    } else if (undiscovered.length > 0) {
+      state.research.progress = progress + (rules.research.progressGain || 0);
     }
   }
 
-  // 5. Market Recovery (for items not sold this tick)
-  for (const itemId of Object.keys(newState.marketPopularity)) {
-    if (!soldThisTick.has(itemId)) {
-      newState.marketPopularity[itemId] = Math.min(
-        rules.market.maxPopularity,
-        newState.marketPopularity[itemId] + rules.market.recoveryRate
-      );
-    }
+  // Batteries bank the energy nothing used this tick
+  if (spareEnergy - researchEnergy > 0) {
+    chargeBatteries(state, rules, spareEnergy - researchEnergy);
+    state.energy = calculateEnergy(state, rules);
   }
 
-  // 6. Advance State
-  newState.tick += 1;
-  newState.rngSeed = rng.getCurrentSeed();
+  // 6. Market Update (recovery for items not sold this tick, demand shocks)
+  // Credits earned and spent by actions since the last tick count as this
+  // tick's credits
+  summary.credits.earned += state.market.creditsThisTick.earned;
+  summary.credits.spent += state.market.creditsThisTick.spent;
+  state.market.creditsThisTick = { earned: 0, spent: 0 };
+  updateMarket(state, rules, rng);
+
+  // 7. Contracts (expire offers and overdue contracts, roll for a new offer)
+  updateContracts(state, rules, rng, summary);
 
-  return newState;
+  // 8. Advance State
+  state.tick += 1;
+  state.rngSeed = rng.getCurrentSeed();
+
+  summary.research.energy = researchEnergy;
+  summary.energy = { ...state.energy };
+  return summary;
+}
+
+function simulateTick(state, rules) {
+  const newState = deepClone(state);
+  const summary = advanceTick(newState, rules);
+  return { state: newState, summary };
+}
+
+function simulateTicks(state, rules, n) {
+  // One clone for the whole batch; every tick mutates the same working copy
+  const workState = deepClone(state);
+  const summaries = [];
+  for (let i = 0; i < n; i++) {
+    summaries.push(advanceTick(workState, rules));
+  }
+  return { state: workState, summaries };
 }
 
 // ============================================================================
@@ -348,14 +1471,19 @@ function simulateTick(state, rules) {
 
 function addMachine(state, rules, payload) {
   const newState = deepClone(state);
-  const { x, y } = payload;
+  const { x, y, machineType = rules.machines.defaultType } = payload;
 
   // Validate position is provided
   if (typeof x !== 'number' || typeof y !== 'number') {
     return { state: newState, error: 'Position (x, y) is required' };
   }
 
-  const size = getStructureSize(rules.machines.baseSpace);
+  const typeConfig = rules.machines.types.find(t => t.id === machineType);
+  if (!typeConfig) {
+    return { state: newState, error: 'Machine type not found' };
+  }
+
+  const size = getStructureSize(typeConfig.spaceCost);
 
   // Check if position is valid and not colliding
   const placement = canPlaceAt(newState, x, y, size);
@@ -364,13 +1492,13 @@ function addMachine(state, rules, payload) {
   }
 
   // Check if we have the required item in inventory
-  const requiredItemId = rules.machines.itemId;
+  const requiredItemId = typeConfig.itemId;
   const available = newState.inventory[requiredItemId] || 0;
 
   if (available < 1) {
     const material = rules.materials.find(m => m.id === requiredItemId);
     const name = material ? material.name : requiredItemId;
-    return { state: newState, error: `Need 1 ${name} in inventory to deploy a machine` };
+    return { state: newState, error: `Need 1 ${name} in inventory to deploy a ${typeConfig.name}` };
   }
 
   // Consume the item from inventory
@@ -379,17 +1507,24 @@ function addMachine(state, rules, payload) {
     delete newState.inventory[requiredItemId];
   }
 
-  const machineId = generateId();
+  const machineId = generateId(newState, 'machine');
 
   // Add to machines array
   newState.machines.push({
     id: machineId,
+    type: machineType,
     recipeId: null,
     internalBuffer: {},
     status: 'idle',
     enabled: true,
-    spaceUsed: rules.machines.baseSpace,
-    energyConsumption: rules.machines.baseEnergy,
+    progress: 0,
+    outputDirection: 'right',  // Side outputs leave through in logistics mode
+    outputBuffer: {},          // Outputs waiting to be handed downstream
+    priority: rules.energy.defaultPriority,
+    upgrades: {},              // Upgrade id -> level
+    yieldProgress: 0,          // Accumulated yield bonus (percent)
+    spaceUsed: typeConfig.spaceCost,
+    energyConsumption: typeConfig.baseEnergy,
     x,
     y
   });
@@ -417,9 +1552,12 @@ function removeMachine(state, rules, payload) {
 
   const machine = newState.machines[machineIndex];
 
-  // Return items in buffer to inventory
-  for (const [itemId, quantity] of Object.entries(machine.internalBuffer)) {
-    newState.inventory[itemId] = (newState.inventory[itemId] || 0) + quantity;
+  // Return items in buffers to inventory (as far as stacks allow)
+  const discarded = {};
+  for (const items of [machine.internalBuffer, machine.outputBuffer || {}]) {
+    for (const [itemId, quantity] of Object.entries(refundToInventory(newState, rules, items))) {
+      discarded[itemId] = (discarded[itemId] || 0) + quantity;
+    }
   }
 
   // Remove from machines array
@@ -431,7 +1569,7 @@ function removeMachine(state, rules, payload) {
     newState.floorSpace.placements.splice(placementIndex, 1);
   }
 
-  return { state: newState, error: null };
+  return { state: newState, error: null, discarded };
 }
 
 function assignRecipe(state, rules, payload) {
@@ -449,21 +1587,208 @@ function assignRecipe(state, rules, payload) {
       return { state: newState, error: 'Recipe not found' };
     }
 
-    if (!newState.unlockedRecipes.includes(recipeId)) {
-      return { state: newState, error: 'Recipe not unlocked' };
-    }
+    if (!newState.unlockedRecipes.includes(recipeId)) {
+      return { state: newState, error: 'Recipe not unlocked' };
+    }
+
+    const machineType = getMachineType(machine, rules);
+    if (!machineType || !machineType.categories.includes(recipe.category)) {
+      const name = machineType ? machineType.name : machine.type;
+      return { state: newState, error: `${name} cannot run ${recipe.category} recipes` };
+    }
+  }
+
+  // Return items in buffer to inventory when changing recipe
+  const discarded = refundToInventory(newState, rules, machine.internalBuffer);
+
+  machine.recipeId = recipeId;
+  machine.internalBuffer = {};
+  machine.progress = 0;
+  machine.status = recipeId ? 'working' : 'idle';
+
+  // Recalculate energy (draw depends on the assigned recipe)
+  newState.energy = calculateEnergy(newState, rules);
+
+  return { state: newState, error: null, discarded };
+}
+
+function setMachineOutput(state, rules, payload) {
+  const newState = deepClone(state);
+  const { machineId, direction } = payload;
+
+  const machine = newState.machines.find(m => m.id === machineId);
+  if (!machine) {
+    return { state: newState, error: 'Machine not found' };
+  }
+
+  if (!DIRECTIONS[direction]) {
+    return { state: newState, error: `Invalid direction: ${direction}` };
+  }
+
+  machine.outputDirection = direction;
+
+  return { state: newState, error: null };
+}
+
+function setMachinePriority(state, rules, payload) {
+  const newState = deepClone(state);
+  const { machineId, priority } = payload;
+
+  const machine = newState.machines.find(m => m.id === machineId);
+  if (!machine) {
+    return { state: newState, error: 'Machine not found' };
+  }
+
+  if (!rules.energy.priorities.includes(priority)) {
+    return { state: newState, error: `Invalid priority: ${priority}` };
+  }
+
+  machine.priority = priority;
+
+  return { state: newState, error: null };
+}
+
+function upgradeMachine(state, rules, payload) {
+  const newState = deepClone(state);
+  const { machineId, upgradeId } = payload;
+
+  const machine = newState.machines.find(m => m.id === machineId);
+  if (!machine) {
+    return { state: newState, error: 'Machine not found' };
+  }
+
+  const upgrade = rules.machines.upgrades[upgradeId];
+  if (!upgrade) {
+    return { state: newState, error: `Unknown upgrade: ${upgradeId}` };
+  }
+
+  const cost = getMachineUpgradeCost(machine, rules, upgradeId);
+  if (!cost) {
+    return { state: newState, error: `${upgrade.name} is at max level (${upgrade.maxLevel})` };
+  }
+
+  // Upgrades are installed for good; removing the machine does not refund them
+  const available = newState.inventory[cost.itemId] || 0;
+  if (available < cost.quantity) {
+    const material = rules.materials.find(m => m.id === cost.itemId);
+    const name = material ? material.name : cost.itemId;
+    return { state: newState, error: `Need ${cost.quantity} ${name} (have ${available})` };
+  }
+
+  newState.inventory[cost.itemId] -= cost.quantity;
+  if (newState.inventory[cost.itemId] === 0) {
+    delete newState.inventory[cost.itemId];
+  }
+
+  machine.upgrades = machine.upgrades || {};
+  machine.upgrades[upgradeId] = getUpgradeLevel(machine, upgradeId) + 1;
+
+  // Recalculate energy (efficiency upgrades lower the draw)
+  newState.energy = calculateEnergy(newState, rules);
+
+  return { state: newState, error: null };
+}
+
+function placeStructure(state, rules, payload) {
+  const newState = deepClone(state);
+  const { structureType, x, y, direction = 'right' } = payload;
+
+  const config = getStructureType(rules, structureType);
+  if (!config) {
+    return { state: newState, error: 'Structure type not found' };
+  }
+
+  // Structures that handle items need logistics mode
+  const behavior = STRUCTURE_BEHAVIORS[config.behavior];
+  if (behavior && behavior.logistics !== false && !isLogisticsEnabled(rules)) {
+    return { state: newState, error: 'Logistics mode is disabled' };
+  }
+
+  if (typeof x !== 'number' || typeof y !== 'number') {
+    return { state: newState, error: 'Position (x, y) is required' };
+  }
+
+  if (!DIRECTIONS[direction]) {
+    return { state: newState, error: `Invalid direction: ${direction}` };
+  }
+
+  const size = getStructureSize(config.spaceCost);
+  const placement = canPlaceAt(newState, x, y, size);
+  if (!placement.valid) {
+    return { state: newState, error: placement.error };
+  }
+
+  // Cost: an optional deploy item and optional credits
+  if (config.itemId && (newState.inventory[config.itemId] || 0) < 1) {
+    const material = rules.materials.find(m => m.id === config.itemId);
+    const name = material ? material.name : config.itemId;
+    return { state: newState, error: `Need 1 ${name} in inventory to place this structure` };
+  }
+
+  const credits = config.credits || 0;
+  if (newState.credits < credits) {
+    return { state: newState, error: `Not enough credits (need ${credits})` };
+  }
+
+  if (config.itemId) {
+    newState.inventory[config.itemId] -= 1;
+    if (newState.inventory[config.itemId] === 0) {
+      delete newState.inventory[config.itemId];
+    }
+  }
+  spendCredits(newState, credits);
+
+  const structureId = generateId(newState, structureType);
+
+  const structure = {
+    id: structureId,
+    type: structureType,
+    direction,
+    items: {},
+    spaceUsed: config.spaceCost,
+    x,
+    y
+  };
+  if (behavior && behavior.initialize) {
+    behavior.initialize(structure, config);
+  }
+  newState.structures.push(structure);
+
+  newState.floorSpace.placements.push({
+    id: structureId,
+    x,
+    y,
+    size,
+    type: structureType
+  });
+
+  return { state: newState, error: null };
+}
+
+function removeStructure(state, rules, payload) {
+  const newState = deepClone(state);
+  const { structureId } = payload;
+
+  const structureIndex = newState.structures.findIndex(s => s.id === structureId);
+  if (structureIndex === -1) {
+    return { state: newState, error: 'Structure not found' };
   }
 
-  // Return items in buffer to inventory when changing recipe
-  for (const [itemId, quantity] of Object.entries(machine.internalBuffer)) {
-    newState.inventory[itemId] = (newState.inventory[itemId] || 0) + quantity;
+  // Return held items to inventory (as far as stacks allow)
+  const discarded = refundToInventory(newState, rules, newState.structures[structureIndex].items);
+
+  // Stored energy is lost with the structure
+  newState.structures.splice(structureIndex, 1);
+
+  const placementIndex = newState.floorSpace.placements.findIndex(p => p.id === structureId);
+  if (placementIndex !== -1) {
+    newState.floorSpace.placements.splice(placementIndex, 1);
   }
 
-  machine.recipeId = recipeId;
-  machine.internalBuffer = {};
-  machine.status = recipeId ? 'working' : 'idle';
+  // Recalculate energy (batteries may have been supplying it)
+  newState.energy = calculateEnergy(newState, rules);
 
-  return { state: newState, error: null };
+  return { state: newState, error: null, discarded };
 }
 
 function addGenerator(state, rules, payload) {
@@ -504,7 +1829,7 @@ function addGenerator(state, rules, payload) {
     delete newState.inventory[requiredItemId];
   }
 
-  const generatorId = generateId();
+  const generatorId = generateId(newState, 'generator');
 
   // Add to generators array
   newState.generators.push({
@@ -512,6 +1837,9 @@ function addGenerator(state, rules, payload) {
     type: generatorType,
     energyOutput: genConfig.energyOutput,
     spaceUsed: genConfig.spaceCost,
+    fuelBuffer: {},
+    // Fueled generators start without fuel and refuel on the next tick
+    status: genConfig.fuel ? 'starved' : 'running',
     x,
     y
   });
@@ -540,6 +1868,9 @@ function removeGenerator(state, rules, payload) {
     return { state: newState, error: 'Generator not found' };
   }
 
+  // Return unburned fuel to inventory (as far as stacks allow)
+  const discarded = refundToInventory(newState, rules, newState.generators[genIndex].fuelBuffer || {});
+
   // Remove from generators array
   newState.generators.splice(genIndex, 1);
 
@@ -552,6 +1883,120 @@ function removeGenerator(state, rules, payload) {
   // Recalculate energy
   newState.energy = calculateEnergy(newState, rules);
 
+  return { state: newState, error: null, discarded };
+}
+
+function buyExtractionNode(state, rules, payload) {
+  const newState = deepClone(state);
+  const { resourceType, x, y } = payload;
+
+  const resource = rules.extraction.resources[resourceType];
+  if (!resource) {
+    return { state: newState, error: 'No extraction node available for this resource' };
+  }
+
+  // Nodes only occupy the floor when the rules give them a footprint
+  const spaceCost = rules.extraction.spaceCost;
+  const size = spaceCost > 0 ? getStructureSize(spaceCost) : 0;
+  if (size > 0) {
+    if (typeof x !== 'number' || typeof y !== 'number') {
+      return { state: newState, error: 'Position (x, y) is required' };
+    }
+    const placement = canPlaceAt(newState, x, y, size);
+    if (!placement.valid) {
+      return { state: newState, error: placement.error };
+    }
+  }
+
+  const cost = getNodeCost(newState, rules, resourceType);
+  if (newState.credits < cost) {
+    return { state: newState, error: `Not enough credits (need ${cost})` };
+  }
+
+  spendCredits(newState, cost);
+
+  const nodeId = generateId(newState, 'node');
+  const node = {
+    id: nodeId,
+    resourceType,
+    rate: resource.baseRate,
+    level: 1,
+    active: true
+  };
+
+  if (size > 0) {
+    node.spaceUsed = spaceCost;
+    node.x = x;
+    node.y = y;
+    newState.floorSpace.placements.push({
+      id: nodeId,
+      x,
+      y,
+      size,
+      type: 'node'
+    });
+  }
+
+  newState.extractionNodes.push(node);
+
+  // Recalculate energy (nodes may draw energy)
+  newState.energy = calculateEnergy(newState, rules);
+
+  return { state: newState, error: null };
+}
+
+function upgradeNode(state, rules, payload) {
+  const newState = deepClone(state);
+  const { nodeId } = payload;
+
+  const node = newState.extractionNodes.find(n => n.id === nodeId);
+  if (!node) {
+    return { state: newState, error: 'Node not found' };
+  }
+
+  const cost = getNodeUpgradeCost(node, rules);
+  if (cost === null) {
+    return { state: newState, error: 'This node cannot be upgraded' };
+  }
+
+  if (isNodeDepleted(node)) {
+    return { state: newState, error: 'Node is depleted' };
+  }
+
+  const level = node.level || 1;
+  if (level >= rules.extraction.maxLevel) {
+    return { state: newState, error: `Node is at max level (${rules.extraction.maxLevel})` };
+  }
+
+  if (newState.credits < cost) {
+    return { state: newState, error: `Not enough credits (need ${cost})` };
+  }
+
+  spendCredits(newState, cost);
+  node.level = level + 1;
+  node.rate += rules.extraction.resources[node.resourceType].baseRate;
+
+  return { state: newState, error: null };
+}
+
+function toggleNode(state, rules, payload) {
+  const newState = deepClone(state);
+  const { nodeId } = payload;
+
+  const node = newState.extractionNodes.find(n => n.id === nodeId);
+  if (!node) {
+    return { state: newState, error: 'Node not found' };
+  }
+
+  if (isNodeDepleted(node)) {
+    return { state: newState, error: 'Node is depleted' };
+  }
+
+  node.active = !node.active;
+
+  // Recalculate energy
+  newState.energy = calculateEnergy(newState, rules);
+
   return { state: newState, error: null };
 }
 
@@ -565,7 +2010,7 @@ function buyFloorSpace(state, rules, payload) {
     return { state: newState, error: `Not enough credits (need ${expansion.cost})` };
   }
 
-  newState.credits -= expansion.cost;
+  spendCredits(newState, expansion.cost);
   newState.floorSpace.width = expansion.newWidth;
   newState.floorSpace.height = expansion.newHeight;
 
@@ -576,6 +2021,10 @@ function sellGoods(state, rules, payload) {
   const newState = deepClone(state);
   const { itemId, quantity } = payload;
 
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return { state: newState, error: 'Quantity must be a positive integer' };
+  }
+
   const available = newState.inventory[itemId] || 0;
   if (available < quantity) {
     return { state: newState, error: 'Not enough items in inventory' };
@@ -586,26 +2035,119 @@ function sellGoods(state, rules, payload) {
     return { state: newState, error: 'Item not found in materials list' };
   }
 
-  // Get popularity multiplier (default to 1.0 if not tracked)
-  const popularity = newState.marketPopularity[itemId] || 1.0;
-  const pricePerUnit = material.basePrice * popularity;
-  const totalCredits = Math.floor(pricePerUnit * quantity);
+  const sale = previewSale(newState, rules, itemId, quantity);
 
   newState.inventory[itemId] -= quantity;
   if (newState.inventory[itemId] === 0) {
     delete newState.inventory[itemId];
   }
 
-  newState.credits += totalCredits;
+  earnCredits(newState, sale.total);
 
-  // Apply popularity decay
-  if (!newState.marketPopularity[itemId]) {
-    newState.marketPopularity[itemId] = rules.market.maxPopularity; // New items start at max
+  // Popularity follows the demand curve down; record the sale so recovery
+  // skips this item on the next tick and novelty only applies once
+  newState.marketPopularity[itemId] = sale.popularityAfter;
+  newState.market.salesThisTick[itemId] = (newState.market.salesThisTick[itemId] || 0) + quantity;
+  if (!newState.market.soldItems.includes(itemId)) {
+    newState.market.soldItems.push(itemId);
+  }
+
+  return { state: newState, error: null };
+}
+
+function buyGoods(state, rules, payload) {
+  const newState = deepClone(state);
+  const { itemId, quantity } = payload;
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return { state: newState, error: 'Quantity must be a positive integer' };
+  }
+
+  const material = rules.materials.find(m => m.id === itemId);
+  if (!material) {
+    return { state: newState, error: 'Item not found in materials list' };
+  }
+
+  if (!canBuyItem(itemId, rules)) {
+    return { state: newState, error: `${material.name} is not sold on the market` };
+  }
+
+  // Respect per-item inventory limit
+  const currentAmount = newState.inventory[itemId] || 0;
+  const maxStack = getMaxStack(itemId, newState.inventorySpace, rules);
+  if (currentAmount + quantity > maxStack) {
+    return { state: newState, error: `Not enough storage (room for ${Math.max(0, maxStack - currentAmount)})` };
+  }
+
+  const purchase = previewPurchase(newState, rules, itemId, quantity);
+  if (newState.credits < purchase.total) {
+    return { state: newState, error: `Not enough credits (need ${purchase.total})` };
+  }
+
+  spendCredits(newState, purchase.total);
+  newState.inventory[itemId] = currentAmount + quantity;
+  newState.market.buyPressure[itemId] = purchase.pressureAfter;
+
+  return { state: newState, error: null };
+}
+
+function acceptContract(state, rules, payload) {
+  const newState = deepClone(state);
+  const { contractId } = payload;
+
+  const index = newState.contracts.available.findIndex(c => c.id === contractId);
+  if (index === -1) {
+    return { state: newState, error: 'Contract not found' };
+  }
+
+  if (newState.contracts.active.length >= rules.contracts.maxActive) {
+    return { state: newState, error: `Too many active contracts (max ${rules.contracts.maxActive})` };
+  }
+
+  const [contract] = newState.contracts.available.splice(index, 1);
+  contract.deadline = newState.tick + contract.duration;
+  newState.contracts.active.push(contract);
+
+  return { state: newState, error: null };
+}
+
+function deliverContract(state, rules, payload) {
+  const newState = deepClone(state);
+  const { contractId, quantity } = payload;
+
+  const index = newState.contracts.active.findIndex(c => c.id === contractId);
+  if (index === -1) {
+    return { state: newState, error: 'Contract not found' };
+  }
+
+  if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 1)) {
+    return { state: newState, error: 'Quantity must be a positive integer' };
+  }
+
+  // Deliver as much as requested (default: everything still owed) and available
+  const contract = newState.contracts.active[index];
+  const remaining = contract.quantity - contract.delivered;
+  const available = newState.inventory[contract.itemId] || 0;
+  const toDeliver = Math.min(quantity === undefined ? remaining : quantity, remaining, available);
+
+  if (toDeliver < 1) {
+    return { state: newState, error: 'Nothing to deliver' };
+  }
+
+  newState.inventory[contract.itemId] -= toDeliver;
+  if (newState.inventory[contract.itemId] === 0) {
+    delete newState.inventory[contract.itemId];
+  }
+  contract.delivered += toDeliver;
+
+  // Completed: pay out and build reputation
+  if (contract.delivered >= contract.quantity) {
+    const payout = getContractPayout(contract, newState, rules);
+    earnCredits(newState, payout);
+    changeReputation(newState, rules, rules.contracts.reputationGain);
+    newState.contracts.completed += 1;
+    newState.contracts.active.splice(index, 1);
   }
-  newState.marketPopularity[itemId] = Math.max(
-    rules.market.minPopularity,
-    newState.marketPopularity[itemId] - (rules.market.decayRate * quantity)
-  );
 
   return { state: newState, error: null };
 }
@@ -634,11 +2176,104 @@ function unlockRecipe(state, rules, payload) {
     return { state: newState, error: 'Recipe already unlocked' };
   }
 
+  const status = getUnlockStatus(newState, rules, recipeId);
+
+  if (status.missingPrerequisites.length > 0) {
+    const names = status.missingPrerequisites.map(id => id.replace(/_/g, ' ')).join(', ');
+    return { state: newState, error: `Unlock ${names} first` };
+  }
+
+  if (status.missingCredits > 0) {
+    return { state: newState, error: `Not enough credits (need ${status.cost.credits})` };
+  }
+
+  const missingItems = Object.keys(status.missingItems);
+  if (missingItems.length > 0) {
+    const needs = missingItems.map(itemId => {
+      const material = rules.materials.find(m => m.id === itemId);
+      return `${status.cost.items[itemId]} ${material ? material.name : itemId}`;
+    }).join(', ');
+    return { state: newState, error: `Need ${needs} in inventory to unlock` };
+  }
+
+  // Pay the research cost
+  spendCredits(newState, status.cost.credits);
+  for (const [itemId, quantity] of Object.entries(status.cost.items)) {
+    newState.inventory[itemId] -= quantity;
+    if (newState.inventory[itemId] === 0) {
+      delete newState.inventory[itemId];
+    }
+  }
+
   newState.unlockedRecipes.push(recipeId);
 
   return { state: newState, error: null };
 }
 
+function setResearchTarget(state, rules, payload) {
+  const newState = deepClone(state);
+  const { target, enqueue } = payload || {};
+
+  if (!newState.research.queue) {
+    newState.research.queue = [];
+  }
+
+  // Clearing the target empties the whole queue
+  if (!target) {
+    newState.research.queue = [];
+    return { state: newState, error: null };
+  }
+
+  if (!RESEARCH_TARGET_TYPES.includes(target.type)) {
+    return { state: newState, error: `Unknown research target type: ${target.type}` };
+  }
+
+  if (target.type === 'recipe' && !rules.recipes.some(r => r.id === target.value)) {
+    return { state: newState, error: 'Recipe not found' };
+  }
+
+  if (target.type === 'material' && !rules.materials.some(m => m.id === target.value)) {
+    return { state: newState, error: 'Item not found in materials list' };
+  }
+
+  if (!hasResearchLeft(newState, rules, target)) {
+    return { state: newState, error: 'Nothing left to discover for this target' };
+  }
+
+  const queued = { type: target.type, value: target.value };
+
+  if (enqueue) {
+    const alreadyQueued = newState.research.queue.some(t =>
+      t.type === queued.type && t.value === queued.value
+    );
+    if (alreadyQueued) {
+      return { state: newState, error: 'Target already queued' };
+    }
+    if (newState.research.queue.length >= rules.research.maxQueue) {
+      return { state: newState, error: `Research queue is full (max ${rules.research.maxQueue})` };
+    }
+    newState.research.queue.push(queued);
+  } else {
+    newState.research.queue = [queued];
+  }
+
+  return { state: newState, error: null };
+}
+
+function removeResearchTarget(state, rules, payload) {
+  const newState = deepClone(state);
+  const { index } = payload;
+  const queue = newState.research.queue || [];
+
+  if (!Number.isInteger(index) || index < 0 || index >= queue.length) {
+    return { state: newState, error: 'Research target not found' };
+  }
+
+  queue.splice(index, 1);
+
+  return { state: newState, error: null };
+}
+
 function unblockMachine(state, rules, payload) {
   const newState = deepClone(state);
   const { machineId } = payload;
@@ -692,20 +2327,245 @@ function buyInventorySpace(state, rules, payload) {
     return { state: newState, error: `Not enough credits (need ${cost})` };
   }
 
-  newState.credits -= cost;
+  spendCredits(newState, cost);
   newState.inventorySpace += rules.inventorySpace.upgradeAmount;
 
   return { state: newState, error: null };
 }
 
+function simulateBatch(state, rules, payload) {
+  const { ticks } = payload || {};
+
+  if (!Number.isInteger(ticks) || ticks < 1) {
+    return { state, error: 'Tick count must be a positive integer' };
+  }
+
+  const { state: newState, summaries } = simulateTicks(state, rules, ticks);
+  return { state: newState, error: null, summaries };
+}
+
+// ============================================================================
+// Invariant Checks
+// ============================================================================
+
+// type is the expected placement type; registry structures (type null) are
+// placed under their own structure type id
+function checkStructurePlacements(state, listName, type, violations) {
+  state[listName].forEach((structure, index) => {
+    const path = `${listName}[${index}]`;
+    const expectedType = type || structure.type;
+
+    // Extraction nodes without a footprint are not on the floor
+    if (listName === 'extractionNodes' && typeof structure.x !== 'number') {
+      return;
+    }
+
+    const matches = state.floorSpace.placements.filter(p => p.id === structure.id);
+
+    if (matches.length === 0) {
+      violations.push({ path, message: `${expectedType} ${structure.id} has no floor placement` });
+      return;
+    }
+
+    const placement = matches[0];
+    if (placement.type !== expectedType) {
+      violations.push({ path, message: `${expectedType} ${structure.id} is placed as a ${placement.type}` });
+    }
+    if (placement.x !== structure.x || placement.y !== structure.y) {
+      violations.push({
+        path,
+        message: `${expectedType} ${structure.id} is at (${structure.x}, ${structure.y}) but placed at (${placement.x}, ${placement.y})`
+      });
+    }
+    if (placement.size !== getStructureSize(structure.spaceUsed)) {
+      violations.push({ path, message: `${expectedType} ${structure.id} placement size does not match its space` });
+    }
+  });
+}
+
+function checkInvariants(state, rules) {
+  const violations = [];
+  const { width, height, placements } = state.floorSpace;
+
+  // Floor placements <-> machines/generators/nodes/structures
+  checkStructurePlacements(state, 'machines', 'machine', violations);
+  checkStructurePlacements(state, 'generators', 'generator', violations);
+  checkStructurePlacements(state, 'extractionNodes', 'node', violations);
+  checkStructurePlacements(state, 'structures', null, violations);
+
+  const structureIds = new Set([
+    ...state.machines.map(m => m.id),
+    ...state.generators.map(g => g.id),
+    ...state.structures.map(s => s.id),
+    ...state.extractionNodes.filter(n => typeof n.x === 'number').map(n => n.id)
+  ]);
+  const seenPlacements = new Set();
+
+  placements.forEach((placement, index) => {
+    const path = `floorSpace.placements[${index}]`;
+
+    if (seenPlacements.has(placement.id)) {
+      violations.push({ path, message: `Duplicate placement id ${placement.id}` });
+    }
+    seenPlacements.add(placement.id);
+
+    if (!structureIds.has(placement.id)) {
+      violations.push({ path, message: `Placement ${placement.id} has no matching structure` });
+    }
+
+    if (!isWithinBounds(placement.x, placement.y, placement.size, width, height)) {
+      violations.push({ path, message: `Placement ${placement.id} is out of bounds` });
+    }
+
+    if (isColliding(placement.x, placement.y, placement.size, placements.slice(index + 1))) {
+      violations.push({ path, message: `Placement ${placement.id} overlaps another structure` });
+    }
+  });
+
+  // Inventory counts
+  for (const [itemId, qty] of Object.entries(state.inventory)) {
+    const path = `inventory.${itemId}`;
+    if (!Number.isInteger(qty) || qty < 0) {
+      violations.push({ path, message: `Invalid quantity ${qty}` });
+      continue;
+    }
+    const maxStack = getMaxStack(itemId, state.inventorySpace, rules);
+    if (qty > maxStack) {
+      violations.push({ path, message: `Quantity ${qty} exceeds max stack ${maxStack}` });
+    }
+  }
+
+  // Machine buffers and recipes
+  state.machines.forEach((machine, index) => {
+    const path = `machines[${index}]`;
+    if (!getMachineType(machine, rules)) {
+      violations.push({ path: `${path}.type`, message: `Unknown machine type ${machine.type}` });
+    }
+    if (machine.recipeId && !rules.recipes.some(r => r.id === machine.recipeId)) {
+      violations.push({ path: `${path}.recipeId`, message: `Unknown recipe ${machine.recipeId}` });
+    }
+    if (machine.priority && !rules.energy.priorities.includes(machine.priority)) {
+      violations.push({ path: `${path}.priority`, message: `Unknown priority ${machine.priority}` });
+    }
+    for (const [upgradeId, level] of Object.entries(machine.upgrades || {})) {
+      const upgrade = rules.machines.upgrades[upgradeId];
+      if (!upgrade) {
+        violations.push({ path: `${path}.upgrades.${upgradeId}`, message: `Unknown upgrade ${upgradeId}` });
+      } else if (!Number.isInteger(level) || level < 0 || level > upgrade.maxLevel) {
+        violations.push({ path: `${path}.upgrades.${upgradeId}`, message: `Invalid level ${level}` });
+      }
+    }
+    for (const bufferName of ['internalBuffer', 'outputBuffer']) {
+      for (const [itemId, qty] of Object.entries(machine[bufferName] || {})) {
+        if (!Number.isInteger(qty) || qty < 0) {
+          violations.push({ path: `${path}.${bufferName}.${itemId}`, message: `Invalid quantity ${qty}` });
+        }
+      }
+    }
+  });
+
+  // Generator fuel buffers
+  state.generators.forEach((generator, index) => {
+    const path = `generators[${index}]`;
+    for (const [itemId, qty] of Object.entries(generator.fuelBuffer || {})) {
+      if (!Number.isInteger(qty) || qty < 0) {
+        violations.push({ path: `${path}.fuelBuffer.${itemId}`, message: `Invalid quantity ${qty}` });
+      }
+    }
+    const fuel = getGeneratorFuel(generator, rules);
+    const stored = getStoredFuel(generator);
+    if (stored > (fuel ? fuel.bufferSize : 0)) {
+      violations.push({ path: `${path}.fuelBuffer`, message: `Stored fuel ${stored} exceeds buffer size` });
+    }
+  });
+
+  // Structure types and loads
+  state.structures.forEach((structure, index) => {
+    const path = `structures[${index}]`;
+    const config = getStructureType(rules, structure.type);
+    if (!config) {
+      violations.push({ path: `${path}.type`, message: `Unknown structure type ${structure.type}` });
+      return;
+    }
+    if (config.behavior === 'battery') {
+      if (!Number.isInteger(structure.charge) || structure.charge < 0 || structure.charge > config.energyCapacity) {
+        violations.push({ path: `${path}.charge`, message: `Invalid charge ${structure.charge}` });
+      }
+      return;
+    }
+    const load = getStoredTotal(structure.items);
+    if (load > config.capacity) {
+      violations.push({ path: `${path}.items`, message: `Load ${load} exceeds capacity ${config.capacity}` });
+    }
+  });
+
+  // Extraction nodes
+  state.extractionNodes.forEach((node, index) => {
+    const path = `extractionNodes[${index}]`;
+    if (!Number.isInteger(node.rate) || node.rate < 0) {
+      violations.push({ path: `${path}.rate`, message: `Invalid rate ${node.rate}` });
+    }
+    if (node.reserves !== undefined && node.reserves !== null &&
+        (!Number.isInteger(node.reserves) || node.reserves < 0)) {
+      violations.push({ path: `${path}.reserves`, message: `Invalid reserves ${node.reserves}` });
+    }
+  });
+
+  // Recipe progression
+  state.unlockedRecipes.forEach((recipeId, index) => {
+    if (!state.discoveredRecipes.includes(recipeId)) {
+      violations.push({ path: `unlockedRecipes[${index}]`, message: `${recipeId} is unlocked but not discovered` });
+    }
+  });
+
+  state.discoveredRecipes.forEach((recipeId, index) => {
+    if (!rules.recipes.some(r => r.id === recipeId)) {
+      violations.push({ path: `discoveredRecipes[${index}]`, message: `Unknown recipe ${recipeId}` });
+    }
+  });
+
+  if (typeof state.credits !== 'number' || state.credits < 0) {
+    violations.push({ path: 'credits', message: `Invalid credits ${state.credits}` });
+  }
+
+  // Contracts
+  state.contracts.active.forEach((contract, index) => {
+    if (contract.delivered >= contract.quantity) {
+      violations.push({ path: `contracts.active[${index}]`, message: `Contract ${contract.id} is fully delivered but still active` });
+    }
+  });
+
+  return violations;
+}
+
 // ============================================================================
 // Main Engine Function
 // ============================================================================
 
-export function engine(state, rules, action) {
+// options.debug: check invariants after the action and attach an
+// invariantReport naming the offending action when any are violated
+export function engine(state, rules, action, options = {}) {
+  const result = applyAction(state, rules, action);
+
+  if (options.debug) {
+    const violations = checkInvariants(result.state, rules);
+    if (violations.length > 0) {
+      return { ...result, invariantReport: { action, tick: state.tick, violations } };
+    }
+  }
+
+  return result;
+}
+
+function applyAction(state, rules, action) {
   switch (action.type) {
-    case 'SIMULATE':
-      return { state: simulateTick(state, rules), error: null };
+    case 'SIMULATE': {
+      const { state: newState, summary } = simulateTick(state, rules);
+      return { state: newState, error: null, summaries: [summary] };
+    }
+
+    case 'SIMULATE_N':
+      return simulateBatch(state, rules, action.payload);
 
     case 'ADD_MACHINE':
       return addMachine(state, rules, action.payload || {});
@@ -716,6 +2576,21 @@ export function engine(state, rules, action) {
     case 'ASSIGN_RECIPE':
       return assignRecipe(state, rules, action.payload);
 
+    case 'SET_MACHINE_OUTPUT':
+      return setMachineOutput(state, rules, action.payload);
+
+    case 'SET_MACHINE_PRIORITY':
+      return setMachinePriority(state, rules, action.payload);
+
+    case 'UPGRADE_MACHINE':
+      return upgradeMachine(state, rules, action.payload);
+
+    case 'PLACE_STRUCTURE':
+      return placeStructure(state, rules, action.payload);
+
+    case 'REMOVE_STRUCTURE':
+      return removeStructure(state, rules, action.payload);
+
     case 'ADD_GENERATOR':
       return addGenerator(state, rules, action.payload);
 
@@ -725,15 +2600,39 @@ export function engine(state, rules, action) {
     case 'BUY_FLOOR_SPACE':
       return buyFloorSpace(state, rules, action.payload);
 
+    case 'BUY_EXTRACTION_NODE':
+      return buyExtractionNode(state, rules, action.payload);
+
+    case 'UPGRADE_NODE':
+      return upgradeNode(state, rules, action.payload);
+
+    case 'TOGGLE_NODE':
+      return toggleNode(state, rules, action.payload);
+
     case 'SELL_GOODS':
       return sellGoods(state, rules, action.payload);
 
+    case 'BUY_GOODS':
+      return buyGoods(state, rules, action.payload);
+
+    case 'ACCEPT_CONTRACT':
+      return acceptContract(state, rules, action.payload);
+
+    case 'DELIVER_CONTRACT':
+      return deliverContract(state, rules, action.payload);
+
     case 'TOGGLE_RESEARCH':
       return toggleResearch(state, rules, action.payload);
 
     case 'UNLOCK_RECIPE':
       return unlockRecipe(state, rules, action.payload);
 
+    case 'SET_RESEARCH_TARGET':
+      return setResearchTarget(state, rules, action.payload);
+
+    case 'REMOVE_RESEARCH_TARGET':
+      return removeResearchTarget(state, rules, action.payload);
+
     case 'UNBLOCK_MACHINE':
       return unblockMachine(state, rules, action.payload);
 
@@ -751,11 +2650,37 @@ export function engine(state, rules, action) {
 // Export utilities for testing and frontend use
 export {
   createRNG,
+  simulateTicks,
   calculateEnergy,
+  getMachineEnergy,
+  getMachineType,
+  getMachineSpeed,
+  getMachineUpgradeCost,
   deepClone,
   getItemWeight,
   getMaxStack,
   getStructureSize,
   canPlaceAt,
-  getNextExpansionChunk
+  getNextExpansionChunk,
+  getUnlockCost,
+  getUnlockStatus,
+  matchesResearchTarget,
+  getResearchPointCost,
+  getNextResearchCandidate,
+  previewSale,
+  previewPurchase,
+  canBuyItem,
+  getContractPayout,
+  getNodeCost,
+  getNodeUpgradeCost,
+  getNodeEnergy,
+  isNodeRunning,
+  getOutputTarget,
+  getPlacementAt,
+  getStructureType,
+  registerStructureBehavior,
+  getStructureBehaviorNames,
+  getStructureBehavior,
+  DIRECTIONS,
+  checkInvariants
 };
@@ -8,6 +8,9 @@ export const initialState = {
   rngSeed: 12345,
   credits: 500,
 
+  // Counter for deterministic entity IDs (machine_1, generator_2, ...)
+  nextEntityId: 1,
+
   // Floor Space (2D Grid)
   floorSpace: {
     width: 8,
@@ -20,7 +23,8 @@ export const initialState = {
 
   energy: {
     produced: 3,  // From starting manual crank
-    consumed: 0
+    consumed: 0,
+    stored: 0     // Held in batteries
   },
 
   // Inventory space is total capacity for per-item limits
@@ -34,6 +38,9 @@ export const initialState = {
   // No machines deployed initially (must be deployed from inventory)
   machines: [],
 
+  // Placed structures from rules.structures (conveyors, chests, ...)
+  structures: [],
+
   // Start with one manual crank generator for basic operation
   generators: [
     {
@@ -41,6 +48,8 @@ export const initialState = {
       type: 'manual_crank',
       energyOutput: 3,
       spaceUsed: 1,
+      fuelBuffer: {},
+      status: 'running',
       x: 0,
       y: 0
     }
@@ -52,42 +61,49 @@ export const initialState = {
       id: 'node_wood_1',
       resourceType: 'wood',
       rate: 2,
+      level: 1,
       active: true
     },
     {
       id: 'node_stone_1',
       resourceType: 'stone',
       rate: 2,
+      level: 1,
       active: true
     },
     {
       id: 'node_iron_ore_1',
       resourceType: 'iron_ore',
       rate: 1,
+      level: 1,
       active: true
     },
     {
       id: 'node_copper_ore_1',
       resourceType: 'copper_ore',
       rate: 1,
+      level: 1,
       active: true
     },
     {
       id: 'node_coal_1',
       resourceType: 'coal',
       rate: 2,
+      level: 1,
       active: true
     },
     {
       id: 'node_clay_1',
       resourceType: 'clay',
       rate: 1,
+      level: 1,
       active: true
     },
     {
       id: 'node_sand_1',
       resourceType: 'sand',
       rate: 1,
+      level: 1,
       active: true
     }
   ],
@@ -129,11 +145,32 @@ export const initialState = {
 
   // Research starts inactive (cost defined in rules)
   research: {
-    active: false
+    active: false,
+    queue: [],      // Research targets, the first one is active
+    progress: 0,    // Chance accumulated by failed discovery rolls
+    points: 0       // Research points banked toward the next discovery (points mode)
   },
 
   // Market popularity (empty = all at default 1.0)
-  marketPopularity: {}
+  marketPopularity: {},
+
+  // Market bookkeeping
+  market: {
+    salesThisTick: {},  // itemId -> quantity sold since the last tick
+    creditsThisTick: { earned: 0, spent: 0 }, // Credits earned / spent by actions since the last tick
+    soldItems: [],      // Items sold at least once (no more novelty bonus)
+    shocks: [],         // Active demand shocks { category, multiplier, remaining }
+    buyPressure: {}     // itemId -> buy price multiplier from recent purchases
+  },
+
+  // Contracts (offers appear over time)
+  contracts: {
+    available: [],      // Open offers
+    active: [],         // Accepted contracts awaiting delivery
+    reputation: 0,
+    completed: 0,
+    failed: 0
+  }
 };
 
 /**
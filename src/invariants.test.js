@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { engine, checkInvariants, getMaxStack } from './engine.js';
+import { defaultRules } from './defaultRules.js';
+import { createInitialState } from './initialState.js';
+
+const rules = {
+  ...defaultRules,
+  logistics: { ...defaultRules.logistics, enabled: true }
+};
+
+// Dispatches with invariant checks on and fails on the first violation
+function createSession() {
+  let state = createInitialState(7);
+  state.credits = 5000;
+  state.inventory.production_machine = 2;
+  state.inventory.steam_engine = 1;
+  state.inventory.wooden_crate = 1;
+  state.inventory.accumulator = 1;
+
+  return {
+    get state() {
+      return state;
+    },
+    dispatch(action, { allowError = false } = {}) {
+      const result = engine(state, rules, action, { debug: true });
+      assert.equal(result.invariantReport, undefined,
+        `${action.type}: ${JSON.stringify(result.invariantReport && result.invariantReport.violations)}`);
+      if (!allowError) {
+        assert.equal(result.error, null, `${action.type}: ${result.error}`);
+      }
+      state = result.state;
+      return result;
+    }
+  };
+}
+
+function fillStack(session, itemId) {
+  const room = getMaxStack(itemId, session.state.inventorySpace, rules) - (session.state.inventory[itemId] || 0);
+  if (room > 0) {
+    session.dispatch({ type: 'BUY_GOODS', payload: { itemId, quantity: room } });
+  }
+}
+
+test('the starting state satisfies every invariant', () => {
+  assert.deepEqual(checkInvariants(createInitialState(7), rules), []);
+});
+
+test('a varied session keeps every invariant', () => {
+  const session = createSession();
+  const { dispatch } = session;
+
+  // A plank line feeding a chest, a charcoal maker, fuel-burning power and a battery
+  dispatch({ type: 'ADD_MACHINE', payload: { x: 2, y: 2, machineType: 'workshop' } });
+  dispatch({ type: 'ASSIGN_RECIPE', payload: { machineId: 'machine_1', recipeId: 'planks' } });
+  dispatch({ type: 'SET_MACHINE_OUTPUT', payload: { machineId: 'machine_1', direction: 'down' } });
+  dispatch({ type: 'PLACE_STRUCTURE', payload: { structureType: 'chest', x: 2, y: 3, direction: 'down' } });
+  dispatch({ type: 'ADD_MACHINE', payload: { x: 0, y: 2, machineType: 'workshop' } });
+  dispatch({ type: 'ASSIGN_RECIPE', payload: { machineId: 'machine_3', recipeId: 'charcoal' } });
+  dispatch({ type: 'SET_MACHINE_PRIORITY', payload: { machineId: 'machine_3', priority: 'low' } });
+  dispatch({ type: 'ADD_GENERATOR', payload: { generatorType: 'steam_engine', x: 4, y: 4 } });
+  dispatch({ type: 'PLACE_STRUCTURE', payload: { structureType: 'battery', x: 1, y: 0 } });
+  dispatch({ type: 'PLACE_STRUCTURE', payload: { structureType: 'conveyor', x: 3, y: 0, direction: 'down' } });
+  dispatch({ type: 'TOGGLE_RESEARCH', payload: { active: true } });
+
+  dispatch({ type: 'SIMULATE_N', payload: { ticks: 30 } });
+  dispatch({ type: 'SELL_GOODS', payload: { itemId: 'stone', quantity: 5 } });
+  dispatch({ type: 'BUY_GOODS', payload: { itemId: 'sand', quantity: 5 } });
+  dispatch({ type: 'UPGRADE_NODE', payload: { nodeId: 'node_stone_1' } });
+  dispatch({ type: 'TOGGLE_NODE', payload: { nodeId: 'node_sand_1' } });
+  dispatch({ type: 'BUY_EXTRACTION_NODE', payload: { resourceType: 'clay' } });
+  dispatch({ type: 'TOGGLE_MACHINE', payload: { machineId: 'machine_3' } });
+  dispatch({ type: 'SIMULATE' });
+  dispatch({ type: 'TOGGLE_MACHINE', payload: { machineId: 'machine_3' } });
+  dispatch({ type: 'SIMULATE_N', payload: { ticks: 100 } });
+
+  // Rejected actions leave a valid state too
+  dispatch({ type: 'ADD_MACHINE', payload: { x: 2, y: 2, machineType: 'workshop' } }, { allowError: true });
+  dispatch({ type: 'SELL_GOODS', payload: { itemId: 'planks', quantity: 10000 } }, { allowError: true });
+
+  // Removing things with items in them while those stacks are full
+  assert.equal(session.state.inventory.coal, getMaxStack('coal', session.state.inventorySpace, rules));
+  const generator = session.state.generators.find(g => g.type === 'steam_engine');
+  assert.ok(Object.keys(generator.fuelBuffer).length > 0, 'steam engine holds fuel');
+  const removedGenerator = dispatch({ type: 'REMOVE_GENERATOR', payload: { generatorId: generator.id } });
+  assert.ok(Object.keys(removedGenerator.discarded).length > 0, 'fuel that does not fit is discarded');
+
+  const chest = session.state.structures.find(s => s.type === 'chest');
+  assert.ok((chest.items.planks || 0) > 0, 'chest holds planks');
+  fillStack(session, 'planks');
+  const removedChest = dispatch({ type: 'REMOVE_STRUCTURE', payload: { structureId: chest.id } });
+  assert.ok(Object.keys(removedChest.discarded).length > 0, 'planks that do not fit are discarded');
+
+  dispatch({ type: 'REMOVE_MACHINE', payload: { machineId: 'machine_1' } });
+  dispatch({ type: 'BUY_INVENTORY_SPACE', payload: {} });
+  dispatch({ type: 'BUY_FLOOR_SPACE', payload: {} });
+  dispatch({ type: 'SIMULATE_N', payload: { ticks: 20 } });
+
+  assert.deepEqual(checkInvariants(session.state, rules), []);
+});
+
+test('changing a recipe refunds the buffer only up to the stack limit', () => {
+  const session = createSession();
+  session.dispatch({ type: 'ADD_MACHINE', payload: { x: 2, y: 2, machineType: 'workshop' } });
+  session.dispatch({ type: 'ASSIGN_RECIPE', payload: { machineId: 'machine_1', recipeId: 'planks' } });
+
+  // A buffer filled by conveyors while the wood stack is already full
+  const maxWood = getMaxStack('wood', session.state.inventorySpace, rules);
+  session.state.machines[0].internalBuffer = { wood: 6 };
+  session.state.inventory.wood = maxWood - 2;
+
+  const result = session.dispatch({ type: 'ASSIGN_RECIPE', payload: { machineId: 'machine_1', recipeId: 'charcoal' } });
+
+  assert.equal(result.state.inventory.wood, maxWood);
+  assert.deepEqual(result.discarded, { wood: 4 });
+  assert.deepEqual(result.state.machines[0].internalBuffer, {});
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { engine } from './engine.js';
+import { defaultRules as rules } from './defaultRules.js';
+import { createInitialState } from './initialState.js';
+
+function apply(state, action) {
+  const result = engine(state, rules, action);
+  assert.equal(result.error, null, `${action.type}: ${result.error}`);
+  return result.state;
+}
+
+test('buying and reselling at peak popularity never makes credits', () => {
+  // Popularity above 1 + spread would make the plain buy price the cheaper one
+  assert.ok(rules.market.maxPopularity > 1 + rules.market.buy.spread);
+
+  for (const soldBefore of [true, false]) {
+    let state = createInitialState(8);
+    state.credits = 5000;
+    state.marketPopularity.stone = rules.market.maxPopularity;
+    if (soldBefore) state.market.soldItems.push('stone');
+    const start = state.credits;
+
+    state = apply(state, { type: 'BUY_GOODS', payload: { itemId: 'stone', quantity: 20 } });
+    state = apply(state, { type: 'SELL_GOODS', payload: { itemId: 'stone', quantity: 20 } });
+
+    assert.ok(state.credits <= start, `${state.credits} > ${start} (sold before: ${soldBefore})`);
+  }
+});
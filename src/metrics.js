@@ -0,0 +1,139 @@
+/**
+ * Metrics
+ * Rolling windows over the engine's per-tick reports for throughput,
+ * machine utilization and income charts
+ */
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function sumValues(items) {
+  return Object.values(items).reduce((sum, quantity) => sum + quantity, 0);
+}
+
+function addInto(totals, items) {
+  for (const [itemId, quantity] of Object.entries(items)) {
+    totals[itemId] = (totals[itemId] || 0) + quantity;
+  }
+}
+
+// Only the parts of a report the charts need are kept in the window
+function toSample(report) {
+  const machines = {};
+  for (const [machineId, machine] of Object.entries(report.machines || {})) {
+    machines[machineId] = {
+      status: machine.status,
+      progressed: machine.progressed,
+      waitingFor: machine.waitingFor,
+      crafts: machine.crafts
+    };
+  }
+
+  return {
+    tick: report.tick,
+    extracted: { ...report.extracted },
+    wasted: { ...report.wasted },
+    produced: { ...report.produced },
+    consumed: { ...report.consumed },
+    machines,
+    earned: report.credits.earned,
+    spent: report.credits.spent,
+    energyProduced: report.energy.produced,
+    energyConsumed: report.energy.consumed,
+    energyStored: report.energy.stored || 0
+  };
+}
+
+// ============================================================================
+// Aggregator
+// ============================================================================
+
+export function createMetrics(options = {}) {
+  const { windowSize = 100 } = options;
+  let samples = [];
+
+  return {
+    // Add a tick report (from SIMULATE or SIMULATE_N) to the window
+    recordTick(report) {
+      samples.push(toSample(report));
+      if (samples.length > windowSize) {
+        samples.splice(0, samples.length - windowSize);
+      }
+    },
+    // Drop samples after toTick (history rewinds and undo)
+    rewind(toTick) {
+      samples = samples.filter(sample => sample.tick <= toTick);
+    },
+    reset() {
+      samples = [];
+    },
+    getSampleCount() {
+      return samples.length;
+    },
+
+    // Per-tick values of one sample field, oldest first. Object fields
+    // (produced, extracted, ...) are summed across items.
+    getSeries(field) {
+      return samples.map(sample => {
+        const value = sample[field];
+        return typeof value === 'object' ? sumValues(value) : value;
+      });
+    },
+
+    // Average units per tick over the window, per item
+    getThroughput(field = 'produced') {
+      const totals = {};
+      for (const sample of samples) {
+        addInto(totals, sample[field]);
+      }
+      const rates = {};
+      for (const [itemId, total] of Object.entries(totals)) {
+        rates[itemId] = total / samples.length;
+      }
+      return rates;
+    },
+
+    // Per machine: share of the window spent advancing a craft, and the
+    // share spent waiting on inputs (starving) or on room for outputs
+    getUtilization() {
+      const utilization = {};
+      for (const sample of samples) {
+        for (const [machineId, machine] of Object.entries(sample.machines)) {
+          const entry = utilization[machineId] = utilization[machineId] || {
+            ticks: 0, working: 0, starved: 0, outputBlocked: 0, crafts: 0, status: null
+          };
+          entry.ticks += 1;
+          entry.crafts += machine.crafts;
+          entry.status = machine.status;
+          // A tick that finished a craft counts as working even if the
+          // machine then ran dry, so the three shares never overlap
+          const stalled = machine.crafts === 0 && machine.waitingFor;
+          if (stalled === 'inputs') entry.starved += 1;
+          else if (stalled === 'output') entry.outputBlocked += 1;
+          else if (machine.progressed) entry.working += 1;
+        }
+      }
+
+      const result = {};
+      for (const [machineId, entry] of Object.entries(utilization)) {
+        result[machineId] = {
+          utilization: entry.working / entry.ticks,
+          starved: entry.starved / entry.ticks,
+          outputBlocked: entry.outputBlocked / entry.ticks,
+          craftsPerTick: entry.crafts / entry.ticks,
+          status: entry.status
+        };
+      }
+      return result;
+    },
+
+    // Average credits earned, spent and net per tick over the window
+    getIncome() {
+      const count = Math.max(samples.length, 1);
+      const earned = samples.reduce((sum, sample) => sum + sample.earned, 0) / count;
+      const spent = samples.reduce((sum, sample) => sum + sample.spent, 0) / count;
+      return { earned, spent, net: earned - spent };
+    }
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * Production Planner
+ * Works out the machines, energy, floor area and raw extraction a target
+ * output rate needs by walking the recipe tree
+ */
+
+import { getMachineEnergy, isNodeRunning } from './engine.js';
+
+// ============================================================================
+// Recipe and Machine Choice
+// ============================================================================
+
+function getProducers(rules, itemId) {
+  return rules.recipes.filter(r => (r.outputs[itemId] || 0) > 0);
+}
+
+// Raw units consumed per unit of an item along its cheapest recipe chain
+// (Infinity for items that cannot be made from raw materials)
+function getRawCost(rules, itemId, memo, visiting = new Set()) {
+  if (memo.has(itemId)) return memo.get(itemId);
+
+  const material = rules.materials.find(m => m.id === itemId);
+  if (material && material.category === 'raw') return 1;
+  if (visiting.has(itemId)) return Infinity;
+
+  visiting.add(itemId);
+  let best = Infinity;
+  for (const recipe of getProducers(rules, itemId)) {
+    let cost = 0;
+    for (const [inputId, quantity] of Object.entries(recipe.inputs)) {
+      cost += quantity * getRawCost(rules, inputId, memo, visiting);
+    }
+    best = Math.min(best, cost / recipe.outputs[itemId]);
+  }
+  visiting.delete(itemId);
+
+  memo.set(itemId, best);
+  return best;
+}
+
+// Explicit choice first, then (with a state) unlocked recipes, then the
+// recipe that needs the fewest raw materials per unit
+function chooseRecipe(rules, itemId, options, memo) {
+  const producers = getProducers(rules, itemId);
+  const chosen = options.recipeChoices && options.recipeChoices[itemId];
+  if (chosen) {
+    return producers.find(r => r.id === chosen) || null;
+  }
+
+  let candidates = producers;
+  if (options.state) {
+    const unlocked = producers.filter(r => options.state.unlockedRecipes.includes(r.id));
+    if (unlocked.length > 0) candidates = unlocked;
+  }
+
+  let best = null;
+  let bestCost = Infinity;
+  for (const recipe of candidates) {
+    let cost = 0;
+    for (const [inputId, quantity] of Object.entries(recipe.inputs)) {
+      cost += quantity * getRawCost(rules, inputId, memo);
+    }
+    cost /= recipe.outputs[itemId];
+    if (!best || cost < bestCost) {
+      best = recipe;
+      bestCost = cost;
+    }
+  }
+  return best;
+}
+
+// Explicit choice per recipe category first, otherwise the fastest type that
+// can run the recipe
+function chooseMachineType(rules, recipe, options) {
+  const capable = rules.machines.types.filter(t => t.categories.includes(recipe.category));
+  const chosen = options.machineTypes && options.machineTypes[recipe.category];
+  if (chosen) {
+    return capable.find(t => t.id === chosen) || null;
+  }
+  return capable.reduce((best, t) => (!best || t.speed > best.speed ? t : best), null);
+}
+
+// ============================================================================
+// Planner
+// ============================================================================
+
+/**
+ * Plan the production chain for targetItemId at ratePerTick units per tick.
+ *
+ * options:
+ *   state          current game state; prefers unlocked recipes and checks raw
+ *                  rates against running extraction nodes
+ *   recipeChoices  { itemId: recipeId } to pick between alternate recipes
+ *   machineTypes   { recipeCategory: machineTypeId } to override machine choice
+ *
+ * Returns { plan, error }.
+ */
+export function planProduction(rules, targetItemId, ratePerTick, options = {}) {
+  if (!rules.materials.some(m => m.id === targetItemId)) {
+    return { plan: null, error: `Unknown item: ${targetItemId}` };
+  }
+  if (typeof ratePerTick !== 'number' || !(ratePerTick > 0)) {
+    return { plan: null, error: 'Rate must be a positive number' };
+  }
+
+  const memo = new Map();
+  const crafts = new Map();      // recipeId -> crafts per tick (in visit order)
+  const producedItem = {};       // recipeId -> the item it was chosen for
+  const rawRates = {};
+  const byproducts = {};
+
+  // Walk the tree depth-first, accumulating crafts per recipe so shared
+  // intermediates (iron_plate in both gears and motors) are planned once
+  function demand(itemId, rate, path) {
+    const material = rules.materials.find(m => m.id === itemId);
+    if (material && material.category === 'raw') {
+      rawRates[itemId] = (rawRates[itemId] || 0) + rate;
+      return null;
+    }
+    if (path.includes(itemId)) {
+      return `Recipe cycle: ${[...path, itemId].join(' -> ')}`;
+    }
+
+    const recipe = chooseRecipe(rules, itemId, options, memo);
+    if (!recipe) {
+      const chosen = options.recipeChoices && options.recipeChoices[itemId];
+      if (!chosen) return `No recipe produces ${itemId}`;
+      return rules.recipes.some(r => r.id === chosen)
+        ? `Recipe choice ${chosen} does not produce ${itemId}`
+        : `Unknown recipe choice ${chosen} for ${itemId}`;
+    }
+
+    const recipeCrafts = rate / recipe.outputs[itemId];
+    crafts.set(recipe.id, (crafts.get(recipe.id) || 0) + recipeCrafts);
+    producedItem[recipe.id] = itemId;
+
+    for (const [outputId, quantity] of Object.entries(recipe.outputs)) {
+      if (outputId !== itemId) {
+        byproducts[outputId] = (byproducts[outputId] || 0) + recipeCrafts * quantity;
+      }
+    }
+
+    for (const [inputId, quantity] of Object.entries(recipe.inputs)) {
+      const error = demand(inputId, recipeCrafts * quantity, [...path, itemId]);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  const error = demand(targetItemId, ratePerTick, []);
+  if (error) {
+    return { plan: null, error };
+  }
+
+  // Machines per recipe: a machine completes speed / ticksToComplete crafts per tick
+  const steps = [];
+  const machineTotals = {};
+  let energy = 0;
+  let floorArea = 0;
+  for (const [recipeId, craftsPerTick] of crafts) {
+    const recipe = rules.recipes.find(r => r.id === recipeId);
+    const machineType = chooseMachineType(rules, recipe, options);
+    if (!machineType) {
+      const chosen = options.machineTypes && options.machineTypes[recipe.category];
+      let error = `No machine type can run ${recipe.category} recipes (${recipeId})`;
+      if (chosen) {
+        error = rules.machines.types.some(t => t.id === chosen)
+          ? `Machine type choice ${chosen} cannot run ${recipe.category} recipes (${recipeId})`
+          : `Unknown machine type choice ${chosen} for ${recipe.category} recipes`;
+      }
+      return { plan: null, error };
+    }
+
+    const machines = craftsPerTick * (recipe.ticksToComplete || 1) / machineType.speed;
+    const machineCount = Math.ceil(machines - 1e-9);
+    const energyPerMachine = getMachineEnergy({
+      type: machineType.id,
+      recipeId,
+      energyConsumption: machineType.baseEnergy
+    }, rules);
+
+    steps.push({
+      recipeId,
+      itemId: producedItem[recipeId],
+      machineType: machineType.id,
+      craftsPerTick,
+      machines,
+      machineCount,
+      energy: machineCount * energyPerMachine,
+      floorArea: machineCount * machineType.spaceCost,
+      unlocked: options.state ? options.state.unlockedRecipes.includes(recipeId) : null
+    });
+
+    machineTotals[machineType.id] = (machineTotals[machineType.id] || 0) + machineCount;
+    energy += machineCount * energyPerMachine;
+    floorArea += machineCount * machineType.spaceCost;
+  }
+
+  // Bottlenecks: raw materials the running extraction nodes cannot keep up with
+  const bottlenecks = [];
+  if (options.state) {
+    for (const [itemId, required] of Object.entries(rawRates)) {
+      const available = options.state.extractionNodes
+        .filter(n => n.resourceType === itemId && isNodeRunning(n))
+        .reduce((sum, n) => sum + n.rate, 0);
+      if (available < required) {
+        bottlenecks.push({ itemId, required, available });
+      }
+    }
+  }
+
+  return {
+    plan: {
+      targetItemId,
+      ratePerTick,
+      steps,
+      machines: machineTotals,
+      energy,
+      floorArea,
+      rawRates,
+      byproducts,
+      bottlenecks
+    },
+    error: null
+  };
+}
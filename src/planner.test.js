@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planProduction } from './planner.js';
+import { defaultRules as rules } from './defaultRules.js';
+import { createInitialState } from './initialState.js';
+
+function getStep(plan, recipeId) {
+  return plan.steps.find(step => step.recipeId === recipeId);
+}
+
+test('machine counts follow crafts per tick and machine speed', () => {
+  const { plan, error } = planProduction(rules, 'iron_gear', 3);
+
+  assert.equal(error, null);
+  // 3 gears/tick on assemblers (speed 1.5) from 6 ingots/tick on furnaces (speed 2)
+  assert.deepEqual(getStep(plan, 'iron_gear'), {
+    recipeId: 'iron_gear',
+    itemId: 'iron_gear',
+    machineType: 'assembler',
+    craftsPerTick: 3,
+    machines: 2,
+    machineCount: 2,
+    energy: 8,
+    floorArea: 8,
+    unlocked: null
+  });
+  assert.equal(getStep(plan, 'iron_ingot').machines, 3);
+  assert.equal(getStep(plan, 'iron_ingot').machineCount, 3);
+  assert.deepEqual(plan.machines, { assembler: 2, furnace: 3 });
+  assert.deepEqual(plan.rawRates, { iron_ore: 12, coal: 6 });
+  assert.equal(plan.floorArea, 20);
+});
+
+test('partial machines round up to whole machines', () => {
+  const { plan } = planProduction(rules, 'iron_gear', 1);
+
+  const step = getStep(plan, 'iron_gear');
+  assert.equal(step.machines, 1 / 1.5);
+  assert.equal(step.machineCount, 1);
+});
+
+test('recipeChoices picks an alternate recipe down the chain', () => {
+  const { plan, error } = planProduction(rules, 'iron_gear', 1, {
+    recipeChoices: { iron_ingot: 'iron_ingot_charcoal' }
+  });
+
+  assert.equal(error, null);
+  assert.equal(getStep(plan, 'iron_ingot'), undefined);
+  assert.equal(getStep(plan, 'iron_ingot_charcoal').itemId, 'iron_ingot');
+  // Charcoal is made from wood instead of mining coal
+  assert.equal(getStep(plan, 'charcoal').craftsPerTick, 1);
+  assert.deepEqual(plan.rawRates, { iron_ore: 4, wood: 3 });
+});
+
+test('a recipe choice that does not exist or does not produce the item is named', () => {
+  assert.deepEqual(
+    planProduction(rules, 'iron_gear', 1, { recipeChoices: { iron_ingot: 'planks' } }),
+    { plan: null, error: 'Recipe choice planks does not produce iron_ingot' }
+  );
+  assert.deepEqual(
+    planProduction(rules, 'iron_gear', 1, { recipeChoices: { iron_ingot: 'iron_ingot_deluxe' } }),
+    { plan: null, error: 'Unknown recipe choice iron_ingot_deluxe for iron_ingot' }
+  );
+  assert.deepEqual(
+    planProduction(rules, 'iron_gear', 1, { machineTypes: { smelting: 'assembler' } }),
+    { plan: null, error: 'Machine type choice assembler cannot run smelting recipes (iron_ingot)' }
+  );
+});
+
+test('with a state, raw rates the running nodes cannot meet are bottlenecks', () => {
+  const state = createInitialState(1);
+  state.extractionNodes.find(n => n.resourceType === 'coal').active = false;
+
+  const { plan } = planProduction(rules, 'iron_gear', 1, { state });
+
+  // One iron ore node makes 1/tick; the coal node is stopped
+  assert.deepEqual(plan.bottlenecks, [
+    { itemId: 'iron_ore', required: 4, available: 1 },
+    { itemId: 'coal', required: 2, available: 0 }
+  ]);
+  assert.equal(getStep(plan, 'iron_ingot').unlocked, true);
+  assert.equal(getStep(plan, 'iron_gear').unlocked, false);
+});
+
+test('invalid targets and rates are rejected', () => {
+  assert.deepEqual(planProduction(rules, 'unobtainium', 1), { plan: null, error: 'Unknown item: unobtainium' });
+  assert.deepEqual(planProduction(rules, 'iron_gear', 0), { plan: null, error: 'Rate must be a positive number' });
+});
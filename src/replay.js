@@ -0,0 +1,108 @@
+/**
+ * Action Log and Replay
+ * Records every dispatched action so a run can be rebuilt exactly
+ */
+
+import { engine, deepClone } from './engine.js';
+import { createInitialState } from './initialState.js';
+import { getRulesFingerprint } from './serialization.js';
+
+// ============================================================================
+// Recorder
+// ============================================================================
+
+function isTickAction(action) {
+  return action.type === 'SIMULATE' || action.type === 'SIMULATE_N';
+}
+
+function getTicksAdvanced(action) {
+  return action.type === 'SIMULATE_N' ? action.payload.ticks : 1;
+}
+
+// A batch that runs past toTick is cut down to the ticks before it
+function clampToTick(entry, toTick) {
+  if (entry.action.type !== 'SIMULATE_N' || entry.tick + getTicksAdvanced(entry.action) <= toTick) {
+    return entry;
+  }
+  return {
+    tick: entry.tick,
+    action: { ...entry.action, payload: { ...entry.action.payload, ticks: toTick - entry.tick } }
+  };
+}
+
+// Index of the first entry that must NOT be applied to reach toTick
+function getCutoffIndex(entries, toTick) {
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.tick > toTick || (entry.tick === toTick && isTickAction(entry.action))) {
+      return i;
+    }
+  }
+  return entries.length;
+}
+
+export function createRecorder(initialState, rules) {
+  const log = {
+    seed: initialState.rngSeed,
+    rulesFingerprint: getRulesFingerprint(rules),
+    initialState: deepClone(initialState),
+    entries: []
+  };
+
+  return {
+    // Record an action together with the tick of the state it was dispatched against
+    record(state, action) {
+      log.entries.push({ tick: state.tick, action: deepClone(action) });
+    },
+    // Drop everything after toTick so new actions branch off that point in history
+    rewind(toTick) {
+      log.entries.length = getCutoffIndex(log.entries, toTick);
+      if (log.entries.length > 0) {
+        const last = log.entries.length - 1;
+        log.entries[last] = clampToTick(log.entries[last], toTick);
+      }
+    },
+    // Drop the most recent entries (used when undoing actions)
+    truncate(entryCount) {
+      log.entries.length = Math.min(log.entries.length, entryCount);
+    },
+    getEntryCount() {
+      return log.entries.length;
+    },
+    getLog() {
+      return { ...log, entries: log.entries.slice() };
+    }
+  };
+}
+
+// ============================================================================
+// Replay
+// ============================================================================
+
+export function replay(log, rules, options = {}) {
+  const { toTick = Infinity } = options;
+
+  if (log.rulesFingerprint && log.rulesFingerprint !== getRulesFingerprint(rules)) {
+    return { state: null, error: 'Action log was recorded with different rules' };
+  }
+
+  // Compact logs may omit the initial state and rely on the seed alone
+  let state = log.initialState
+    ? deepClone(log.initialState)
+    : createInitialState(log.seed);
+
+  const entries = log.entries.slice(0, getCutoffIndex(log.entries, toTick));
+  for (let i = 0; i < entries.length; i++) {
+    const { tick, action } = clampToTick(entries[i], toTick);
+    if (tick !== state.tick) {
+      return {
+        state,
+        error: `Replay diverged at entry ${i}: recorded at tick ${tick}, state is at tick ${state.tick}`
+      };
+    }
+    // Rejected actions were recorded too; they leave the state unchanged
+    state = engine(state, rules, action).state;
+  }
+
+  return { state, error: null };
+}
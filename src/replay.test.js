@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { engine } from './engine.js';
+import { defaultRules as rules } from './defaultRules.js';
+import { createInitialState } from './initialState.js';
+import { createRecorder, replay } from './replay.js';
+
+// Single and batched ticks around player actions; the 10-tick batch runs
+// from tick 6 to 16
+const SESSION = [
+  { type: 'SIMULATE' },
+  { type: 'ADD_MACHINE', payload: { x: 2, y: 2, machineType: 'workshop' } },
+  { type: 'ASSIGN_RECIPE', payload: { machineId: 'machine_1', recipeId: 'planks' } },
+  { type: 'SIMULATE_N', payload: { ticks: 2 } },
+  { type: 'SELL_GOODS', payload: { itemId: 'planks', quantity: 1 } },
+  { type: 'SELL_GOODS', payload: { itemId: 'planks', quantity: 999 } }, // Rejected, still recorded
+  { type: 'TOGGLE_RESEARCH', payload: { active: true } },
+  { type: 'SIMULATE_N', payload: { ticks: 3 } },
+  { type: 'SIMULATE_N', payload: { ticks: 10 } },
+  { type: 'SIMULATE' }
+];
+
+function run(actions, recorder = null) {
+  let state = createInitialState(99);
+  if (recorder === true) recorder = createRecorder(state, rules);
+  for (const action of actions) {
+    if (recorder) recorder.record(state, action);
+    state = engine(state, rules, action).state;
+  }
+  return { state, recorder };
+}
+
+// The session up to toTick, with the batch running past it cut short
+function runTo(toTick) {
+  const actions = [];
+  let tick = 0;
+  for (const action of SESSION) {
+    const ticks = action.type === 'SIMULATE' ? 1 : action.type === 'SIMULATE_N' ? action.payload.ticks : 0;
+    if (ticks > 0 && tick >= toTick) break;
+    if (tick + ticks > toTick) {
+      actions.push({ type: 'SIMULATE_N', payload: { ticks: toTick - tick } });
+      break;
+    }
+    actions.push(action);
+    tick += ticks;
+  }
+  return run(actions).state;
+}
+
+test('replaying a recorded session rebuilds the live state', () => {
+  const { state, recorder } = run(SESSION, true);
+
+  const result = replay(recorder.getLog(), rules);
+
+  assert.equal(result.error, null);
+  assert.equal(result.state.tick, 17);
+  assert.deepEqual(result.state, state);
+});
+
+test('replay to a tick inside a batch stops at that tick', () => {
+  const { recorder } = run(SESSION, true);
+
+  const result = replay(recorder.getLog(), rules, { toTick: 11 });
+
+  assert.equal(result.error, null);
+  assert.equal(result.state.tick, 11);
+  assert.deepEqual(result.state, runTo(11));
+});
+
+test('rewinding into a batch clamps the batch and drops later entries', () => {
+  const { recorder } = run(SESSION, true);
+
+  recorder.rewind(11);
+  const log = recorder.getLog();
+  const last = log.entries[log.entries.length - 1];
+
+  assert.deepEqual(last, { tick: 6, action: { type: 'SIMULATE_N', payload: { ticks: 5 } } });
+  const result = replay(log, rules);
+  assert.equal(result.error, null);
+  assert.deepEqual(result.state, runTo(11));
+});
+
+test('replay reports where a log diverges from the state', () => {
+  const { recorder } = run(SESSION, true);
+  const log = recorder.getLog();
+  log.entries[3] = { ...log.entries[3], tick: log.entries[3].tick + 1 };
+
+  const result = replay(log, rules);
+
+  assert.equal(result.error, 'Replay diverged at entry 3: recorded at tick 2, state is at tick 1');
+  assert.equal(result.state.tick, 1);
+});
+
+test('replay refuses logs recorded with different rules', () => {
+  const { recorder } = run(SESSION, true);
+  const otherRules = { ...rules, floorSpace: { ...rules.floorSpace, costPerCell: 11 } };
+
+  const result = replay(recorder.getLog(), otherRules);
+
+  assert.equal(result.state, null);
+  assert.equal(result.error, 'Action log was recorded with different rules');
+});
@@ -0,0 +1,264 @@
+/**
+ * Save Game Serialization
+ * Versioned JSON envelopes with migrations for saves from older state shapes
+ */
+
+import { getStructureSize } from './engine.js';
+
+export const SAVE_FORMAT = 'replaceableParts-save';
+
+// Bump this whenever the state shape changes and register a migration below
+export const SCHEMA_VERSION = 17;
+
+// ============================================================================
+// Migrations
+// Each entry upgrades a state from version N to N + 1 (mutating the copy it
+// receives). Saves are walked forward one version at a time. Migrations that
+// depend on the rules get { rules, warnings } and may add player-facing
+// warnings.
+// ============================================================================
+
+export const migrations = {
+  // v1 -> v2: machines carry progress toward multi-tick recipes
+  1(state) {
+    for (const machine of state.machines) {
+      if (typeof machine.progress !== 'number') {
+        machine.progress = 0;
+      }
+    }
+    return state;
+  },
+
+  // v2 -> v3: entity IDs come from a persisted counter instead of Math.random
+  2(state) {
+    if (!Number.isInteger(state.nextEntityId)) {
+      state.nextEntityId = 1;
+    }
+    return state;
+  },
+
+  // v3 -> v4: directed research queue and accumulated discovery progress
+  3(state) {
+    state.research.queue = state.research.queue || [];
+    state.research.progress = state.research.progress || 0;
+    return state;
+  },
+
+  // v4 -> v5: research points for the deterministic research mode
+  4(state) {
+    state.research.points = state.research.points || 0;
+    return state;
+  },
+
+  // v5 -> v6: market bookkeeping (sales per tick, novelty, demand shocks)
+  5(state) {
+    state.market = state.market || {
+      salesThisTick: {},
+      // Anything with a tracked popularity has been sold before
+      soldItems: Object.keys(state.marketPopularity),
+      shocks: []
+    };
+    return state;
+  },
+
+  // v6 -> v7: buy pressure for purchases from the market
+  6(state) {
+    state.market.buyPressure = state.market.buyPressure || {};
+    return state;
+  },
+
+  // v7 -> v8: contracts
+  7(state) {
+    state.contracts = state.contracts || {
+      available: [],
+      active: [],
+      reputation: 0,
+      completed: 0,
+      failed: 0
+    };
+    return state;
+  },
+
+  // v8 -> v9: extraction nodes have upgrade levels
+  8(state) {
+    for (const node of state.extractionNodes) {
+      if (!Number.isInteger(node.level)) {
+        node.level = 1;
+      }
+    }
+    return state;
+  },
+
+  // v9 -> v10: logistics (machine output sides and buffers, conveyors)
+  9(state) {
+    for (const machine of state.machines) {
+      machine.outputDirection = machine.outputDirection || 'right';
+      machine.outputBuffer = machine.outputBuffer || {};
+    }
+    state.conveyors = state.conveyors || [];
+    return state;
+  },
+
+  // v10 -> v11: conveyors become registry structures
+  10(state) {
+    state.structures = (state.conveyors || []).map(conveyor => ({
+      ...conveyor,
+      type: 'conveyor'
+    }));
+    delete state.conveyors;
+    return state;
+  },
+
+  // v11 -> v12: machine types. Earlier machines were 1x1 and ran any recipe;
+  // each becomes a type of the same size that can run its recipe (a workshop
+  // if possible). When none can, it becomes a workshop with no recipe.
+  11(state, { rules, warnings }) {
+    for (const machine of state.machines) {
+      if (machine.type) continue;
+      machine.type = 'workshop';
+
+      const recipe = rules && machine.recipeId && rules.recipes.find(r => r.id === machine.recipeId);
+      if (!recipe) continue;
+
+      const placement = state.floorSpace.placements.find(p => p.id === machine.id);
+      const size = placement ? placement.size : 1;
+      const capable = rules.machines.types.filter(t =>
+        getStructureSize(t.spaceCost) === size && t.categories.includes(recipe.category)
+      );
+      const machineType = capable.find(t => t.id === 'workshop') || capable[0];
+      if (machineType) {
+        machine.type = machineType.id;
+      } else {
+        machine.recipeId = null;
+        machine.progress = 0;
+        machine.status = 'idle';
+        warnings.push(`Machine ${machine.id} can no longer run ${recipe.id} (${recipe.category}); its recipe was cleared`);
+      }
+    }
+    return state;
+  },
+
+  // v12 -> v13: machine upgrades
+  12(state) {
+    for (const machine of state.machines) {
+      machine.upgrades = machine.upgrades || {};
+      machine.yieldProgress = machine.yieldProgress || 0;
+    }
+    return state;
+  },
+
+  // v13 -> v14: machine priorities for brownouts
+  13(state, { rules }) {
+    const defaultPriority = rules ? rules.energy.defaultPriority : 'normal';
+    for (const machine of state.machines) {
+      machine.priority = machine.priority || defaultPriority;
+    }
+    return state;
+  },
+
+  // v14 -> v15: generator fuel buffers and status
+  14(state) {
+    for (const generator of state.generators) {
+      generator.fuelBuffer = generator.fuelBuffer || {};
+      generator.status = generator.status || 'running';
+    }
+    return state;
+  },
+
+  // v15 -> v16: stored energy (batteries)
+  15(state) {
+    state.energy.stored = state.energy.stored || 0;
+    return state;
+  },
+
+  // v16 -> v17: market credits since the last tick (tick reports)
+  16(state) {
+    state.market.creditsThisTick = state.market.creditsThisTick || { earned: 0, spent: 0 };
+    return state;
+  }
+};
+
+export function migrateState(state, fromVersion, rules = null) {
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    return { state: null, error: `Invalid save version: ${fromVersion}`, warnings: [] };
+  }
+
+  if (fromVersion > SCHEMA_VERSION) {
+    return {
+      state: null,
+      error: `Save version ${fromVersion} is newer than supported version ${SCHEMA_VERSION}`,
+      warnings: []
+    };
+  }
+
+  const warnings = [];
+  let migrated = JSON.parse(JSON.stringify(state));
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      return { state: null, error: `No migration registered from version ${version}`, warnings };
+    }
+    migrated = migrate(migrated, { rules, warnings });
+  }
+
+  return { state: migrated, error: null, warnings };
+}
+
+// ============================================================================
+// Rules Fingerprint
+// ============================================================================
+
+export function getRulesFingerprint(rules) {
+  // FNV-1a hash of the canonical rules JSON - identifies which rule pack a
+  // save was made with, not a security measure
+  const json = JSON.stringify(rules);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// ============================================================================
+// Serialize / Deserialize
+// ============================================================================
+
+export function serializeState(state, rules) {
+  return JSON.stringify({
+    format: SAVE_FORMAT,
+    version: SCHEMA_VERSION,
+    rulesFingerprint: getRulesFingerprint(rules),
+    state
+  });
+}
+
+export function deserializeState(json, rules) {
+  let envelope;
+  try {
+    envelope = JSON.parse(json);
+  } catch (e) {
+    return { state: null, error: `Save is not valid JSON: ${e.message}`, warnings: [] };
+  }
+
+  if (!envelope || envelope.format !== SAVE_FORMAT) {
+    return { state: null, error: 'Not a replaceableParts save', warnings: [] };
+  }
+
+  if (!envelope.state || typeof envelope.state !== 'object') {
+    return { state: null, error: 'Save contains no state', warnings: [] };
+  }
+
+  const warnings = [];
+  if (envelope.rulesFingerprint !== getRulesFingerprint(rules)) {
+    warnings.push('Save was created with different rules; the game may behave differently');
+  }
+
+  const result = migrateState(envelope.state, envelope.version, rules);
+  warnings.push(...result.warnings);
+  if (result.error) {
+    return { state: null, error: result.error, warnings };
+  }
+
+  return { state: result.state, error: null, warnings };
+}
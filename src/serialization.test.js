@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkInvariants } from './engine.js';
+import { defaultRules as rules } from './defaultRules.js';
+import { createInitialState } from './initialState.js';
+import {
+  SAVE_FORMAT,
+  SCHEMA_VERSION,
+  getRulesFingerprint,
+  migrateState,
+  deserializeState
+} from './serialization.js';
+
+function v1Machine(id, x, y, size, recipeId) {
+  return {
+    id,
+    recipeId,
+    internalBuffer: {},
+    status: recipeId ? 'working' : 'idle',
+    enabled: true,
+    spaceUsed: size * size,
+    energyConsumption: 1,
+    x,
+    y
+  };
+}
+
+// The starting state as a version 1 save: everything later migrations add is
+// taken out again
+function createV1State(machines = []) {
+  const state = createInitialState(5);
+  delete state.nextEntityId;
+  delete state.research.queue;
+  delete state.research.progress;
+  delete state.research.points;
+  delete state.market;
+  delete state.contracts;
+  delete state.structures;
+  delete state.energy.stored;
+  for (const node of state.extractionNodes) {
+    delete node.level;
+  }
+  for (const generator of state.generators) {
+    delete generator.fuelBuffer;
+    delete generator.status;
+  }
+
+  for (const machine of machines) {
+    const size = Math.sqrt(machine.spaceUsed);
+    state.machines.push(machine);
+    state.floorSpace.placements.push({ id: machine.id, x: machine.x, y: machine.y, size, type: 'machine' });
+  }
+  return state;
+}
+
+function toEnvelope(state, version) {
+  return JSON.stringify({ format: SAVE_FORMAT, version, rulesFingerprint: getRulesFingerprint(rules), state });
+}
+
+function keysOf(value) {
+  return Object.keys(value).sort();
+}
+
+test('a version 1 save migrates to the current state shape', () => {
+  const current = createInitialState(5);
+  const v1 = createV1State([v1Machine('machine_1', 2, 2, 1, 'planks')]);
+
+  const result = migrateState(v1, 1, rules);
+
+  assert.equal(result.error, null);
+  assert.deepEqual(result.warnings, []);
+  const state = result.state;
+  assert.deepEqual(keysOf(state), keysOf(current));
+  assert.deepEqual(keysOf(state.research), keysOf(current.research));
+  assert.deepEqual(keysOf(state.market), keysOf(current.market));
+  assert.deepEqual(keysOf(state.contracts), keysOf(current.contracts));
+  assert.deepEqual(keysOf(state.energy), keysOf(current.energy));
+  assert.deepEqual(keysOf(state.generators[0]), keysOf(current.generators[0]));
+  assert.deepEqual(keysOf(state.extractionNodes[0]), keysOf(current.extractionNodes[0]));
+  assert.deepEqual(state.machines[0], {
+    ...v1.machines[0],
+    type: 'workshop',
+    progress: 0,
+    outputDirection: 'right',
+    outputBuffer: {},
+    priority: rules.energy.defaultPriority,
+    upgrades: {},
+    yieldProgress: 0
+  });
+  assert.deepEqual(checkInvariants(state, rules), []);
+});
+
+test('migration leaves the save it was given untouched', () => {
+  const v1 = createV1State([v1Machine('machine_1', 2, 2, 1, 'planks')]);
+  const before = JSON.stringify(v1);
+
+  migrateState(v1, 1, rules);
+
+  assert.equal(JSON.stringify(v1), before);
+});
+
+test('pre-type machines get a type that runs their recipe or lose the recipe', () => {
+  const v1 = createV1State([
+    v1Machine('machine_1', 2, 2, 1, 'planks'),
+    v1Machine('machine_2', 3, 2, 1, 'tool_handle'),
+    v1Machine('machine_3', 4, 4, 2, 'tool_handle')
+  ]);
+
+  const result = deserializeState(toEnvelope(v1, 1), rules);
+
+  assert.equal(result.error, null);
+  const [workshop, stranded, assembler] = result.state.machines;
+  assert.equal(workshop.type, 'workshop');
+  assert.equal(workshop.recipeId, 'planks');
+  // No 1x1 machine type runs assembly recipes
+  assert.equal(stranded.type, 'workshop');
+  assert.equal(stranded.recipeId, null);
+  assert.equal(stranded.status, 'idle');
+  assert.equal(assembler.type, 'assembler');
+  assert.equal(assembler.recipeId, 'tool_handle');
+  assert.deepEqual(result.warnings, [
+    'Machine machine_2 can no longer run tool_handle (assembly); its recipe was cleared'
+  ]);
+});
+
+test('saves from a newer version are rejected', () => {
+  const result = deserializeState(toEnvelope(createInitialState(5), SCHEMA_VERSION + 1), rules);
+
+  assert.equal(result.state, null);
+  assert.equal(result.error, `Save version ${SCHEMA_VERSION + 1} is newer than supported version ${SCHEMA_VERSION}`);
+});
+
+test('saves from the current version load as they are', () => {
+  const state = createInitialState(5);
+
+  const result = deserializeState(toEnvelope(state, SCHEMA_VERSION), rules);
+
+  assert.equal(result.error, null);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(result.state, state);
+});
+
+test('pre-priority machines get the rules default priority', () => {
+  const customRules = {
+    ...rules,
+    energy: { ...rules.energy, priorities: ['background', 'critical'], defaultPriority: 'background' }
+  };
+  const v1 = createV1State([v1Machine('machine_1', 2, 2, 1, 'planks')]);
+
+  const result = migrateState(v1, 1, customRules);
+
+  assert.equal(result.state.machines[0].priority, 'background');
+  assert.deepEqual(checkInvariants(result.state, customRules), []);
+});
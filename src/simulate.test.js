@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { engine } from './engine.js';
+import { defaultRules as rules } from './defaultRules.js';
+import { createInitialState } from './initialState.js';
+
+function apply(state, action) {
+  const result = engine(state, rules, action);
+  assert.equal(result.error, null, `${action.type}: ${result.error}`);
+  return result;
+}
+
+// A running factory where, a few ticks in, the steam engine runs out of coal
+// and an active contract passes its deadline
+function createBusyState() {
+  let state = createInitialState(2024);
+  state.inventory.steam_engine = 1;
+
+  state = apply(state, { type: 'ADD_MACHINE', payload: { x: 2, y: 2, machineType: 'workshop' } }).state;
+  state = apply(state, { type: 'ASSIGN_RECIPE', payload: { machineId: state.machines[0].id, recipeId: 'planks' } }).state;
+  state = apply(state, { type: 'ADD_GENERATOR', payload: { generatorType: 'steam_engine', x: 4, y: 4 } }).state;
+  state = apply(state, { type: 'TOGGLE_NODE', payload: { nodeId: 'node_coal_1' } }).state;
+  state = apply(state, { type: 'TOGGLE_RESEARCH', payload: { active: true } }).state;
+
+  // Only a few ticks of fuel, and a contract that cannot be met in time
+  state.inventory.coal = 3;
+  state.contracts.active.push({
+    id: 'contract_test',
+    itemId: 'iron_gear',
+    quantity: 10,
+    delivered: 0,
+    reward: 300,
+    penalty: 75,
+    duration: 6,
+    offerExpiresAt: state.tick,
+    deadline: state.tick + 6
+  });
+
+  return state;
+}
+
+test('SIMULATE_N gives the same state and summaries as n SIMULATE actions', () => {
+  const start = createBusyState();
+  const ticks = 20;
+
+  const batch = apply(start, { type: 'SIMULATE_N', payload: { ticks } });
+
+  let single = start;
+  const summaries = [];
+  for (let i = 0; i < ticks; i++) {
+    const result = apply(single, { type: 'SIMULATE' });
+    single = result.state;
+    summaries.push(...result.summaries);
+  }
+
+  assert.deepEqual(batch.state, single);
+  assert.deepEqual(batch.summaries, summaries);
+
+  // The batch really did cross the fuel and deadline events
+  const starvedAt = summaries.findIndex(s => s.starved.length > 0);
+  const failedAt = summaries.findIndex(s => s.failedContracts.includes('contract_test'));
+  assert.ok(starvedAt > 0 && starvedAt < ticks - 1, `generator starved at tick index ${starvedAt}`);
+  assert.ok(failedAt > 0 && failedAt < ticks - 1, `contract failed at tick index ${failedAt}`);
+});
+
+test('SIMULATE_N leaves the input state untouched', () => {
+  const start = createBusyState();
+  const before = JSON.stringify(start);
+
+  apply(start, { type: 'SIMULATE_N', payload: { ticks: 5 } });
+
+  assert.equal(JSON.stringify(start), before);
+});
+
+test('SIMULATE_N rejects tick counts that are not positive integers', () => {
+  const start = createInitialState(1);
+  for (const ticks of [0, -3, 1.5, undefined]) {
+    const result = engine(start, rules, { type: 'SIMULATE_N', payload: { ticks } });
+    assert.equal(result.error, 'Tick count must be a positive integer');
+    assert.equal(result.state, start);
+  }
+});
+
+test('tick reports account for every credit change made between ticks', () => {
+  let state = createInitialState(11);
+  state.credits = 5000;
+  state.inventory.stone = 20;
+  state.discoveredRecipes.push('iron_plate');
+  const startCredits = state.credits;
+
+  const actions = [
+    { type: 'SELL_GOODS', payload: { itemId: 'stone', quantity: 10 } },
+    { type: 'BUY_GOODS', payload: { itemId: 'sand', quantity: 5 } },
+    { type: 'UNLOCK_RECIPE', payload: { recipeId: 'iron_plate' } },
+    { type: 'SIMULATE' },
+    { type: 'BUY_EXTRACTION_NODE', payload: { resourceType: 'clay' } },
+    { type: 'UPGRADE_NODE', payload: { nodeId: 'node_stone_1' } },
+    { type: 'PLACE_STRUCTURE', payload: { structureType: 'conveyor', x: 3, y: 0, direction: 'down' } },
+    { type: 'BUY_FLOOR_SPACE', payload: {} },
+    { type: 'BUY_INVENTORY_SPACE', payload: {} },
+    { type: 'SIMULATE_N', payload: { ticks: 2 } }
+  ];
+  // Conveyors need logistics mode
+  const logisticsRules = { ...rules, logistics: { ...rules.logistics, enabled: true } };
+  const summaries = [];
+  for (const action of actions) {
+    const result = engine(state, logisticsRules, action);
+    assert.equal(result.error, null, `${action.type}: ${result.error}`);
+    state = result.state;
+    summaries.push(...(result.summaries || []));
+  }
+
+  const net = summaries.reduce((sum, s) => sum + s.credits.earned - s.credits.spent, 0);
+  assert.equal(net, state.credits - startCredits);
+  assert.ok(summaries[0].credits.spent > 0 && summaries[1].credits.spent > 0);
+  assert.deepEqual(state.market.creditsThisTick, { earned: 0, spent: 0 });
+});
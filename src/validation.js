@@ -0,0 +1,593 @@
+/**
+ * Rules Validation
+ * Checks a rules object for broken references, bad numbers and unreachable items
+ */
+
+import { getStructureBehaviorNames, getStructureBehavior } from './engine.js';
+
+const MATERIAL_CATEGORIES = ['raw', 'intermediate', 'final', 'equipment'];
+const ENERGY_MODES = ['flat', 'recipe', 'combined'];
+const RESEARCH_MODES = ['chance', 'points'];
+const MACHINE_UPGRADES = ['speed', 'efficiency', 'yield'];
+const BROWNOUT_POLICIES = ['newest-first', 'lowest-priority-first', 'proportional'];
+const RESERVED_PLACEMENT_TYPES = ['machine', 'generator', 'node'];
+
+// ============================================================================
+// Report Helpers
+// ============================================================================
+
+function createReport() {
+  return { errors: [], warnings: [] };
+}
+
+function addError(report, path, message) {
+  report.errors.push({ path, message });
+}
+
+function addWarning(report, path, message) {
+  report.warnings.push({ path, message });
+}
+
+function checkNumber(report, path, value, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    addError(report, path, `Expected a number, got ${JSON.stringify(value)}`);
+    return false;
+  }
+  if (integer && !Number.isInteger(value)) {
+    addError(report, path, `Expected an integer, got ${value}`);
+    return false;
+  }
+  if (value < min || value > max) {
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    addError(report, path, `Expected a value ${range}, got ${value}`);
+    return false;
+  }
+  return true;
+}
+
+function checkPerfectSquare(report, path, value) {
+  if (!checkNumber(report, path, value, { min: 1, integer: true })) {
+    return;
+  }
+  const size = Math.sqrt(value);
+  if (!Number.isInteger(size)) {
+    addError(report, path, `Space cost must be a perfect square (1, 4, 9, ...), got ${value}`);
+  }
+}
+
+function checkMaterialRef(report, path, itemId, materialIds) {
+  if (!materialIds.has(itemId)) {
+    addError(report, path, `Unknown material "${itemId}"`);
+  }
+}
+
+function checkUniqueIds(report, path, entries) {
+  const seen = new Map();
+  entries.forEach((entry, index) => {
+    // Entries that are not objects are reported by the section validator
+    if (!isObject(entry)) return;
+    if (typeof entry.id !== 'string' || entry.id === '') {
+      addError(report, `${path}[${index}].id`, 'Missing id');
+      return;
+    }
+    if (seen.has(entry.id)) {
+      addError(report, `${path}[${index}].id`, `Duplicate id "${entry.id}" (first defined at ${path}[${seen.get(entry.id)}])`);
+    } else {
+      seen.set(entry.id, index);
+    }
+  });
+}
+
+function checkArray(report, path, value) {
+  if (!Array.isArray(value)) {
+    addError(report, path, 'Expected an array');
+    return false;
+  }
+  return true;
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkObject(report, path, value) {
+  if (!isObject(value)) {
+    addError(report, path, 'Expected an object');
+    return false;
+  }
+  return true;
+}
+
+// ============================================================================
+// Section Validators
+// ============================================================================
+
+function validateMaterials(report, rules) {
+  if (!checkArray(report, 'materials', rules.materials)) return;
+
+  checkUniqueIds(report, 'materials', rules.materials);
+
+  rules.materials.forEach((material, index) => {
+    const path = `materials[${index}]`;
+    if (!checkObject(report, path, material)) return;
+    checkNumber(report, `${path}.basePrice`, material.basePrice, { min: 0 });
+    checkNumber(report, `${path}.weight`, material.weight, { min: 1 });
+    if (!MATERIAL_CATEGORIES.includes(material.category)) {
+      addError(report, `${path}.category`, `Unknown category "${material.category}"`);
+    }
+  });
+}
+
+function validateItemMap(report, path, items, materialIds) {
+  if (!checkObject(report, path, items)) return;
+
+  if (Object.keys(items).length === 0) {
+    addError(report, path, 'Must list at least one item');
+  }
+
+  for (const [itemId, quantity] of Object.entries(items)) {
+    checkMaterialRef(report, `${path}.${itemId}`, itemId, materialIds);
+    checkNumber(report, `${path}.${itemId}`, quantity, { min: 1, integer: true });
+  }
+}
+
+function validateRecipes(report, rules, materialIds) {
+  if (!checkArray(report, 'recipes', rules.recipes)) return;
+
+  checkUniqueIds(report, 'recipes', rules.recipes);
+  const recipeIds = new Set(rules.recipes.filter(isObject).map(r => r.id));
+
+  // Recipe categories that some machine type can run
+  const machineTypes = rules.machines && Array.isArray(rules.machines.types) ? rules.machines.types : [];
+  const runnableCategories = new Set(
+    machineTypes.filter(isObject).flatMap(t => Array.isArray(t.categories) ? t.categories : [])
+  );
+
+  rules.recipes.forEach((recipe, index) => {
+    const path = `recipes[${index}]`;
+    if (!checkObject(report, path, recipe)) return;
+    validateItemMap(report, `${path}.inputs`, recipe.inputs, materialIds);
+    validateItemMap(report, `${path}.outputs`, recipe.outputs, materialIds);
+    checkNumber(report, `${path}.energyRequired`, recipe.energyRequired, { min: 0 });
+    checkNumber(report, `${path}.ticksToComplete`, recipe.ticksToComplete, { min: 1, integer: true });
+    checkNumber(report, `${path}.tier`, recipe.tier, { min: 1, integer: true });
+
+    if (typeof recipe.category !== 'string' || recipe.category === '') {
+      addError(report, `${path}.category`, 'Missing category');
+    } else if (!runnableCategories.has(recipe.category)) {
+      addError(report, `${path}.category`, `No machine type can run "${recipe.category}" recipes`);
+    }
+
+    if (recipe.researchPoints !== undefined) {
+      checkNumber(report, `${path}.researchPoints`, recipe.researchPoints, { min: 0 });
+    }
+
+    if (recipe.unlockCost !== undefined) {
+      validateUnlockCost(report, `${path}.unlockCost`, recipe.unlockCost, materialIds);
+    }
+
+    if (recipe.prerequisites !== undefined && checkArray(report, `${path}.prerequisites`, recipe.prerequisites)) {
+      recipe.prerequisites.forEach((prereqId, prereqIndex) => {
+        if (!recipeIds.has(prereqId)) {
+          addError(report, `${path}.prerequisites[${prereqIndex}]`, `Unknown recipe "${prereqId}"`);
+        } else if (prereqId === recipe.id) {
+          addError(report, `${path}.prerequisites[${prereqIndex}]`, 'Recipe cannot require itself');
+        }
+      });
+    }
+  });
+}
+
+function validateUnlockCost(report, path, cost, materialIds) {
+  if (!checkObject(report, path, cost)) return;
+
+  if (cost.credits !== undefined) {
+    checkNumber(report, `${path}.credits`, cost.credits, { min: 0 });
+  }
+
+  if (cost.items !== undefined && checkObject(report, `${path}.items`, cost.items)) {
+    for (const [itemId, quantity] of Object.entries(cost.items)) {
+      checkMaterialRef(report, `${path}.items.${itemId}`, itemId, materialIds);
+      checkNumber(report, `${path}.items.${itemId}`, quantity, { min: 1, integer: true });
+    }
+  }
+}
+
+function validateMarket(report, rules) {
+  const { market } = rules;
+  if (!checkObject(report, 'market', market)) return;
+
+  checkNumber(report, 'market.noveltyBonus', market.noveltyBonus, { min: 0 });
+  checkNumber(report, 'market.noveltyQuantity', market.noveltyQuantity, { min: 0, integer: true });
+  checkNumber(report, 'market.decayRate', market.decayRate, { min: 0 });
+  checkNumber(report, 'market.recoveryRate', market.recoveryRate, { min: 0 });
+  const minOk = checkNumber(report, 'market.minPopularity', market.minPopularity, { min: 0 });
+  const maxOk = checkNumber(report, 'market.maxPopularity', market.maxPopularity, { min: 0 });
+  if (minOk && maxOk && market.minPopularity > market.maxPopularity) {
+    addError(report, 'market.minPopularity', 'minPopularity must not exceed maxPopularity');
+  }
+
+  if (checkObject(report, 'market.categories', market.categories)) {
+    for (const [category, curve] of Object.entries(market.categories)) {
+      const path = `market.categories.${category}`;
+      if (!MATERIAL_CATEGORIES.includes(category)) {
+        addError(report, path, `Unknown category "${category}"`);
+      }
+      if (checkObject(report, path, curve)) {
+        checkNumber(report, `${path}.elasticity`, curve.elasticity, { min: 0 });
+        checkNumber(report, `${path}.recovery`, curve.recovery, { min: 0 });
+      }
+    }
+  }
+
+  if (market.buy !== undefined && checkObject(report, 'market.buy', market.buy)) {
+    const { buy } = market;
+    if (checkArray(report, 'market.buy.categories', buy.categories)) {
+      buy.categories.forEach((category, index) => {
+        if (!MATERIAL_CATEGORIES.includes(category)) {
+          addError(report, `market.buy.categories[${index}]`, `Unknown category "${category}"`);
+        }
+      });
+    }
+    checkNumber(report, 'market.buy.spread', buy.spread, { min: 0 });
+    checkNumber(report, 'market.buy.pressureRate', buy.pressureRate, { min: 0 });
+    checkNumber(report, 'market.buy.maxPressure', buy.maxPressure, { min: 1 });
+    checkNumber(report, 'market.buy.pressureRecovery', buy.pressureRecovery, { min: 0 });
+  }
+
+  if (market.shocks !== undefined && checkObject(report, 'market.shocks', market.shocks)) {
+    const { shocks } = market;
+    checkNumber(report, 'market.shocks.chance', shocks.chance, { min: 0, max: 1 });
+    validateRange(report, 'market.shocks', shocks, 'minMultiplier', 'maxMultiplier', { min: 0 });
+    validateRange(report, 'market.shocks', shocks, 'minDuration', 'maxDuration', { min: 1, integer: true });
+  }
+}
+
+function validateRange(report, path, rules, minKey, maxKey, options) {
+  const minOk = checkNumber(report, `${path}.${minKey}`, rules[minKey], options);
+  const maxOk = checkNumber(report, `${path}.${maxKey}`, rules[maxKey], options);
+  if (minOk && maxOk && rules[minKey] > rules[maxKey]) {
+    addError(report, `${path}.${minKey}`, `${minKey} must not exceed ${maxKey}`);
+  }
+}
+
+function validateLogistics(report, rules) {
+  const { logistics } = rules;
+  if (logistics === undefined) return;
+  if (!checkObject(report, 'logistics', logistics)) return;
+
+  if (typeof logistics.enabled !== 'boolean') {
+    addError(report, 'logistics.enabled', 'Expected a boolean');
+  }
+  checkNumber(report, 'logistics.machineBufferMultiplier', logistics.machineBufferMultiplier, { min: 1, integer: true });
+}
+
+function validateStructures(report, rules, materialIds) {
+  const { structures } = rules;
+  if (structures === undefined) return;
+  if (!checkObject(report, 'structures', structures)) return;
+  if (!checkArray(report, 'structures.types', structures.types)) return;
+
+  checkUniqueIds(report, 'structures.types', structures.types);
+
+  const behaviors = getStructureBehaviorNames();
+  structures.types.forEach((structureType, index) => {
+    const path = `structures.types[${index}]`;
+    if (!checkObject(report, path, structureType)) return;
+    // Placements are tagged with the type id, so it must not shadow a built-in type
+    if (RESERVED_PLACEMENT_TYPES.includes(structureType.id)) {
+      addError(report, `${path}.id`, `"${structureType.id}" is reserved for built-in placements`);
+    }
+    if (!behaviors.includes(structureType.behavior)) {
+      addError(report, `${path}.behavior`, `Unknown behavior "${structureType.behavior}" (expected one of ${behaviors.join(', ')})`);
+    }
+    checkPerfectSquare(report, `${path}.spaceCost`, structureType.spaceCost);
+    if (structureType.itemId !== undefined) {
+      checkMaterialRef(report, `${path}.itemId`, structureType.itemId, materialIds);
+    }
+    if (structureType.credits !== undefined) {
+      checkNumber(report, `${path}.credits`, structureType.credits, { min: 0 });
+    }
+    if (structureType.behavior === 'battery') {
+      checkNumber(report, `${path}.energyCapacity`, structureType.energyCapacity, { min: 1, integer: true });
+      checkNumber(report, `${path}.chargeRate`, structureType.chargeRate, { min: 0, integer: true });
+      checkNumber(report, `${path}.dischargeRate`, structureType.dischargeRate, { min: 0, integer: true });
+    }
+    // Item capacity only matters for structures that handle items
+    const behavior = getStructureBehavior(structureType.behavior);
+    if (behavior && behavior.logistics === false) return;
+    checkNumber(report, `${path}.capacity`, structureType.capacity, { min: 1, integer: true });
+    checkNumber(report, `${path}.throughput`, structureType.throughput, { min: 1, integer: true });
+  });
+}
+
+function validateExtraction(report, rules, materialIds) {
+  const { extraction } = rules;
+  if (extraction === undefined) return;
+  if (!checkObject(report, 'extraction', extraction)) return;
+
+  if (checkObject(report, 'extraction.resources', extraction.resources)) {
+    for (const [resourceId, resource] of Object.entries(extraction.resources)) {
+      const path = `extraction.resources.${resourceId}`;
+      if (!materialIds.has(resourceId)) {
+        addError(report, path, `Unknown material "${resourceId}"`);
+      } else if (rules.materials.find(m => isObject(m) && m.id === resourceId).category !== 'raw') {
+        addError(report, path, 'Extraction nodes can only produce raw materials');
+      }
+      if (!checkObject(report, path, resource)) continue;
+      checkNumber(report, `${path}.baseRate`, resource.baseRate, { min: 1, integer: true });
+      checkNumber(report, `${path}.cost`, resource.cost, { min: 0 });
+    }
+  }
+
+  checkNumber(report, 'extraction.costGrowth', extraction.costGrowth, { min: 1 });
+  checkNumber(report, 'extraction.maxLevel', extraction.maxLevel, { min: 1, integer: true });
+  checkNumber(report, 'extraction.upgradeCostMultiplier', extraction.upgradeCostMultiplier, { min: 0 });
+  checkNumber(report, 'extraction.energyPerNode', extraction.energyPerNode, { min: 0 });
+  if (extraction.spaceCost !== 0) {
+    checkPerfectSquare(report, 'extraction.spaceCost', extraction.spaceCost);
+  }
+
+  if (checkObject(report, 'extraction.depletion', extraction.depletion)) {
+    if (typeof extraction.depletion.enabled !== 'boolean') {
+      addError(report, 'extraction.depletion.enabled', 'Expected a boolean');
+    }
+    checkNumber(report, 'extraction.depletion.reserves', extraction.depletion.reserves, { min: 1, integer: true });
+  }
+}
+
+function validateContracts(report, rules) {
+  const { contracts } = rules;
+  if (contracts === undefined) return;
+  if (!checkObject(report, 'contracts', contracts)) return;
+
+  checkNumber(report, 'contracts.generationChance', contracts.generationChance, { min: 0, max: 1 });
+  checkNumber(report, 'contracts.maxAvailable', contracts.maxAvailable, { min: 1, integer: true });
+  checkNumber(report, 'contracts.maxActive', contracts.maxActive, { min: 1, integer: true });
+  checkNumber(report, 'contracts.offerDuration', contracts.offerDuration, { min: 1, integer: true });
+  validateRange(report, 'contracts', contracts, 'minQuantity', 'maxQuantity', { min: 1, integer: true });
+  validateRange(report, 'contracts', contracts, 'minDuration', 'maxDuration', { min: 1, integer: true });
+  validateRange(report, 'contracts', contracts, 'minReputation', 'maxReputation', {});
+  checkNumber(report, 'contracts.rewardMultiplier', contracts.rewardMultiplier, { min: 0 });
+  checkNumber(report, 'contracts.penaltyRate', contracts.penaltyRate, { min: 0 });
+  checkNumber(report, 'contracts.reputationGain', contracts.reputationGain, { min: 0 });
+  checkNumber(report, 'contracts.reputationLoss', contracts.reputationLoss, { min: 0 });
+  checkNumber(report, 'contracts.reputationBonus', contracts.reputationBonus, { min: 0 });
+
+  if (checkArray(report, 'contracts.categories', contracts.categories)) {
+    contracts.categories.forEach((category, index) => {
+      if (!MATERIAL_CATEGORIES.includes(category)) {
+        addError(report, `contracts.categories[${index}]`, `Unknown category "${category}"`);
+      }
+    });
+  }
+}
+
+function validateResearch(report, rules, materialIds) {
+  const { research } = rules;
+  if (!checkObject(report, 'research', research)) return;
+
+  checkNumber(report, 'research.energyCost', research.energyCost, { min: 0 });
+  checkNumber(report, 'research.discoveryChance', research.discoveryChance, { min: 0, max: 1 });
+  checkNumber(report, 'research.proximityWeight', research.proximityWeight, { min: 0 });
+  checkNumber(report, 'research.progressGain', research.progressGain, { min: 0, max: 1 });
+  checkNumber(report, 'research.maxQueue', research.maxQueue, { min: 1, integer: true });
+
+  if (!RESEARCH_MODES.includes(research.mode)) {
+    addError(report, 'research.mode', `Expected one of ${RESEARCH_MODES.join(', ')}, got "${research.mode}"`);
+  }
+  checkNumber(report, 'research.pointsPerEnergy', research.pointsPerEnergy, { min: 0 });
+  checkNumber(report, 'research.pointCostBase', research.pointCostBase, { min: 1 });
+  checkNumber(report, 'research.pointCostGrowth', research.pointCostGrowth, { min: 1 });
+
+  if (research.scienceItems !== undefined && checkObject(report, 'research.scienceItems', research.scienceItems)) {
+    for (const [itemId, value] of Object.entries(research.scienceItems)) {
+      checkMaterialRef(report, `research.scienceItems.${itemId}`, itemId, materialIds);
+      checkNumber(report, `research.scienceItems.${itemId}`, value, { min: 0 });
+    }
+  }
+
+  if (checkObject(report, 'research.targetWeights', research.targetWeights)) {
+    for (const [type, weight] of Object.entries(research.targetWeights)) {
+      checkNumber(report, `research.targetWeights.${type}`, weight, { min: 0 });
+    }
+  }
+
+  if (research.unlockCosts !== undefined && checkObject(report, 'research.unlockCosts', research.unlockCosts)) {
+    for (const [tier, cost] of Object.entries(research.unlockCosts)) {
+      validateUnlockCost(report, `research.unlockCosts.${tier}`, cost, materialIds);
+    }
+  }
+}
+
+function validateMachines(report, rules, materialIds) {
+  const { machines } = rules;
+  if (!checkObject(report, 'machines', machines)) return;
+
+  if (!ENERGY_MODES.includes(machines.energyMode)) {
+    addError(report, 'machines.energyMode', `Expected one of ${ENERGY_MODES.join(', ')}, got "${machines.energyMode}"`);
+  }
+
+  if (!checkArray(report, 'machines.types', machines.types)) return;
+
+  checkUniqueIds(report, 'machines.types', machines.types);
+
+  machines.types.forEach((machineType, index) => {
+    const path = `machines.types[${index}]`;
+    if (!checkObject(report, path, machineType)) return;
+    checkMaterialRef(report, `${path}.itemId`, machineType.itemId, materialIds);
+    checkPerfectSquare(report, `${path}.spaceCost`, machineType.spaceCost);
+    checkNumber(report, `${path}.speed`, machineType.speed, { min: Number.MIN_VALUE });
+    checkNumber(report, `${path}.baseEnergy`, machineType.baseEnergy, { min: 0 });
+    checkNumber(report, `${path}.energyMultiplier`, machineType.energyMultiplier, { min: 0 });
+    if (checkArray(report, `${path}.categories`, machineType.categories) && machineType.categories.length === 0) {
+      addWarning(report, `${path}.categories`, 'Machine type cannot run any recipes');
+    }
+  });
+
+  if (!machines.types.some(t => isObject(t) && t.id === machines.defaultType)) {
+    addError(report, 'machines.defaultType', `Unknown machine type "${machines.defaultType}"`);
+  }
+
+  if (!checkObject(report, 'machines.upgrades', machines.upgrades)) return;
+
+  for (const [upgradeId, upgrade] of Object.entries(machines.upgrades)) {
+    const path = `machines.upgrades.${upgradeId}`;
+    if (!MACHINE_UPGRADES.includes(upgradeId)) {
+      addError(report, path, `Expected one of ${MACHINE_UPGRADES.join(', ')}, got "${upgradeId}"`);
+      continue;
+    }
+    if (!checkObject(report, path, upgrade)) continue;
+    checkMaterialRef(report, `${path}.itemId`, upgrade.itemId, materialIds);
+    checkNumber(report, `${path}.costPerLevel`, upgrade.costPerLevel, { min: 1, integer: true });
+    checkNumber(report, `${path}.maxLevel`, upgrade.maxLevel, { min: 0, integer: true });
+    // Yield accumulates whole percents per craft
+    checkNumber(report, `${path}.bonus`, upgrade.bonus, { min: 0, integer: upgradeId === 'yield' });
+  }
+
+  const { efficiency } = machines.upgrades;
+  if (isObject(efficiency) && efficiency.bonus * efficiency.maxLevel > 100) {
+    addWarning(report, 'machines.upgrades.efficiency', 'Max level cuts energy draw by more than 100%');
+  }
+}
+
+function validateEnergy(report, rules) {
+  const { energy } = rules;
+  if (!checkObject(report, 'energy', energy)) return;
+
+  if (!BROWNOUT_POLICIES.includes(energy.brownoutPolicy)) {
+    addError(report, 'energy.brownoutPolicy', `Expected one of ${BROWNOUT_POLICIES.join(', ')}, got "${energy.brownoutPolicy}"`);
+  }
+  if (typeof energy.autoRecover !== 'boolean') {
+    addError(report, 'energy.autoRecover', 'Expected a boolean');
+  }
+
+  if (!checkArray(report, 'energy.priorities', energy.priorities)) return;
+  if (energy.priorities.length === 0) {
+    addError(report, 'energy.priorities', 'At least one priority is required');
+  }
+  if (new Set(energy.priorities).size !== energy.priorities.length) {
+    addError(report, 'energy.priorities', 'Priorities must be unique');
+  }
+  if (!energy.priorities.includes(energy.defaultPriority)) {
+    addError(report, 'energy.defaultPriority', `Unknown priority "${energy.defaultPriority}"`);
+  }
+}
+
+function validateGenerators(report, rules, materialIds) {
+  const { generators } = rules;
+  if (!checkObject(report, 'generators', generators)) return;
+  if (!checkArray(report, 'generators.types', generators.types)) return;
+
+  checkUniqueIds(report, 'generators.types', generators.types);
+
+  generators.types.forEach((genType, index) => {
+    const path = `generators.types[${index}]`;
+    if (!checkObject(report, path, genType)) return;
+    checkMaterialRef(report, `${path}.itemId`, genType.itemId, materialIds);
+    checkNumber(report, `${path}.energyOutput`, genType.energyOutput, { min: 0 });
+    checkPerfectSquare(report, `${path}.spaceCost`, genType.spaceCost);
+
+    // Fuel is optional
+    if (genType.fuel === undefined) return;
+    if (!checkObject(report, `${path}.fuel`, genType.fuel)) return;
+    const { items, perTick, bufferSize } = genType.fuel;
+    if (checkArray(report, `${path}.fuel.items`, items)) {
+      if (items.length === 0) {
+        addError(report, `${path}.fuel.items`, 'At least one fuel item is required');
+      }
+      items.forEach((itemId, i) => checkMaterialRef(report, `${path}.fuel.items[${i}]`, itemId, materialIds));
+    }
+    checkNumber(report, `${path}.fuel.perTick`, perTick, { min: 1, integer: true });
+    checkNumber(report, `${path}.fuel.bufferSize`, bufferSize, { min: Math.max(1, perTick || 1), integer: true });
+  });
+}
+
+function validateSpace(report, rules) {
+  const { floorSpace, inventorySpace } = rules;
+
+  if (checkObject(report, 'floorSpace', floorSpace)) {
+    checkNumber(report, 'floorSpace.initialWidth', floorSpace.initialWidth, { min: 1, integer: true });
+    checkNumber(report, 'floorSpace.initialHeight', floorSpace.initialHeight, { min: 1, integer: true });
+    checkNumber(report, 'floorSpace.initialChunkSize', floorSpace.initialChunkSize, { min: 1, integer: true });
+    checkNumber(report, 'floorSpace.costPerCell', floorSpace.costPerCell, { min: 0 });
+  }
+
+  if (checkObject(report, 'inventorySpace', inventorySpace)) {
+    checkNumber(report, 'inventorySpace.baseCost', inventorySpace.baseCost, { min: 0 });
+    checkNumber(report, 'inventorySpace.costGrowth', inventorySpace.costGrowth, { min: 1 });
+    checkNumber(report, 'inventorySpace.upgradeAmount', inventorySpace.upgradeAmount, { min: 1, integer: true });
+  }
+}
+
+function validateReachability(report, rules) {
+  // Raw materials are the roots; a recipe makes its outputs reachable once
+  // every one of its inputs is reachable
+  const reachable = new Set(
+    rules.materials.filter(m => m.category === 'raw').map(m => m.id)
+  );
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const recipe of rules.recipes) {
+      const inputs = Object.keys(recipe.inputs || {});
+      if (!inputs.every(itemId => reachable.has(itemId))) continue;
+      for (const itemId of Object.keys(recipe.outputs || {})) {
+        if (!reachable.has(itemId)) {
+          reachable.add(itemId);
+          changed = true;
+        }
+      }
+    }
+  }
+
+  rules.materials.forEach((material, index) => {
+    if (!reachable.has(material.id)) {
+      addWarning(report, `materials[${index}]`, `"${material.id}" cannot be produced from raw materials`);
+    }
+  });
+
+  rules.recipes.forEach((recipe, index) => {
+    const missing = Object.keys(recipe.inputs || {}).filter(itemId => !reachable.has(itemId));
+    if (missing.length > 0) {
+      addWarning(report, `recipes[${index}].inputs`, `"${recipe.id}" can never run: ${missing.join(', ')} unreachable`);
+    }
+  });
+}
+
+// ============================================================================
+// Entry Point
+// ============================================================================
+
+export function validateRules(rules) {
+  const report = createReport();
+
+  if (!checkObject(report, '', rules)) {
+    return { valid: false, ...report };
+  }
+
+  validateMaterials(report, rules);
+  const materialIds = new Set(
+    Array.isArray(rules.materials) ? rules.materials.filter(isObject).map(m => m.id) : []
+  );
+
+  validateRecipes(report, rules, materialIds);
+  validateMarket(report, rules);
+  validateResearch(report, rules, materialIds);
+  validateLogistics(report, rules);
+  validateStructures(report, rules, materialIds);
+  validateExtraction(report, rules, materialIds);
+  validateContracts(report, rules);
+  validateMachines(report, rules, materialIds);
+  validateEnergy(report, rules);
+  validateGenerators(report, rules, materialIds);
+  validateSpace(report, rules);
+
+  // Reachability only makes sense once references are sound
+  if (report.errors.length === 0) {
+    validateReachability(report, rules);
+  }
+
+  return { valid: report.errors.length === 0, ...report };
+}
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRules } from './validation.js';
+import { defaultRules } from './defaultRules.js';
+
+function errorAt(report, path) {
+  return report.errors.find(error => error.path === path);
+}
+
+test('the default rules are valid', () => {
+  const report = validateRules(defaultRules);
+
+  assert.deepEqual(report.errors, []);
+  assert.equal(report.valid, true);
+});
+
+test('rules that are not an object are rejected', () => {
+  for (const rules of [null, 'rules', [defaultRules]]) {
+    const report = validateRules(rules);
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.errors, [{ path: '', message: 'Expected an object' }]);
+  }
+});
+
+test('entries that are not objects are reported with their path', () => {
+  const cases = [
+    [{ recipes: [null] }, 'recipes[0]'],
+    [{ machines: { ...defaultRules.machines, types: [null] } }, 'machines.types[0]'],
+    [{ generators: { types: ['steam_engine'] } }, 'generators.types[0]'],
+    [{ structures: { types: [7] } }, 'structures.types[0]'],
+    [{ machines: { ...defaultRules.machines, upgrades: { speed: null } } }, 'machines.upgrades.speed']
+  ];
+
+  for (const [overrides, path] of cases) {
+    const report = validateRules({ ...defaultRules, ...overrides });
+    assert.equal(report.valid, false, path);
+    assert.deepEqual(errorAt(report, path), { path, message: 'Expected an object' });
+  }
+});
+
+test('extraction resources are checked against the materials list', () => {
+  const extraction = { ...defaultRules.extraction, resources: { a: {} } };
+
+  for (const materials of ['x', [null]]) {
+    const report = validateRules({ materials, extraction });
+    assert.deepEqual(errorAt(report, 'extraction.resources.a'), {
+      path: 'extraction.resources.a',
+      message: 'Unknown material "a"'
+    });
+  }
+
+  const planks = validateRules({
+    ...defaultRules,
+    extraction: { ...defaultRules.extraction, resources: { planks: { baseRate: 1, cost: 10 } } }
+  });
+  assert.deepEqual(errorAt(planks, 'extraction.resources.planks'), {
+    path: 'extraction.resources.planks',
+    message: 'Extraction nodes can only produce raw materials'
+  });
+});
+
+test('a pack with only broken sections reports errors instead of throwing', () => {
+  const report = validateRules({ materials: [null, 3], recipes: [null], machines: { types: [null] } });
+
+  assert.equal(report.valid, false);
+  assert.deepEqual(errorAt(report, 'materials[0]'), { path: 'materials[0]', message: 'Expected an object' });
+  assert.deepEqual(errorAt(report, 'recipes[0]'), { path: 'recipes[0]', message: 'Expected an object' });
+  assert.deepEqual(errorAt(report, 'machines.types[0]'), { path: 'machines.types[0]', message: 'Expected an object' });
+  assert.ok(errorAt(report, 'materials[1]'));
+  assert.ok(errorAt(report, 'machines.defaultType'));
+  assert.ok(errorAt(report, 'market'));
+});
+
+test('broken references and numbers are reported with their path', () => {
+  const recipes = defaultRules.recipes.map((recipe, index) => index === 0
+    ? { ...recipe, inputs: { unobtainium: 1 }, ticksToComplete: 0 }
+    : recipe
+  );
+  const materials = [...defaultRules.materials, { ...defaultRules.materials[0] }];
+
+  const report = validateRules({ ...defaultRules, recipes, materials });
+
+  assert.deepEqual(errorAt(report, 'recipes[0].inputs.unobtainium'), {
+    path: 'recipes[0].inputs.unobtainium',
+    message: 'Unknown material "unobtainium"'
+  });
+  assert.deepEqual(errorAt(report, 'recipes[0].ticksToComplete'), {
+    path: 'recipes[0].ticksToComplete',
+    message: 'Expected a value >= 1, got 0'
+  });
+  assert.match(errorAt(report, `materials[${materials.length - 1}].id`).message, /^Duplicate id/);
+});
+
+test('items no recipe chain can reach are warnings', () => {
+  const materials = [...defaultRules.materials, { id: 'moon_rock', name: 'Moon Rock', basePrice: 1, category: 'intermediate', weight: 1 }];
+
+  const report = validateRules({ ...defaultRules, materials });
+
+  assert.equal(report.valid, true);
+  assert.deepEqual(report.warnings.find(w => w.path === `materials[${materials.length - 1}]`), {
+    path: `materials[${materials.length - 1}]`,
+    message: '"moon_rock" cannot be produced from raw materials'
+  });
+});